@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * === VolleyVision CLI: metrics reports from saved session files ===
+ *
+ *   node cli.js session.json [more.json …]         JSON report(s) on stdout
+ *   node cli.js --csv sessions/*.json > all.csv    One CSV, a “file” column per rep
+ *
+ * Metrics are recomputed from the saved clicks with metrics.js, exactly as the
+ * app would show them (two-camera sessions take each axis from the better view,
+ * as the app does with both clips open). Files that cannot be read are reported
+ * on stderr and the exit code is 1; the others are still processed.
+ */
+const fs = require('fs');
+const path = require('path');
+const { sessionReport, metricsCSV, METRIC_COLUMNS } = require('./metrics.js');
+
+const USAGE = 'Usage: node cli.js [--csv] session.json [more.json …]';
+
+function main(argv) {
+  const csv = argv.includes('--csv');
+  const files = argv.filter((a) => !a.startsWith('--'));
+  if (argv.includes('--help')) { console.log(USAGE); return 0; }
+  if (!files.length) { console.error(USAGE); return 1; }
+
+  let failed = 0;
+  const reports = [];
+  for (const file of files) {
+    try {
+      reports.push({ file, report: sessionReport(JSON.parse(fs.readFileSync(file, 'utf8'))) });
+    } catch (err) {
+      console.error(`${file}: ${err.message}`);
+      failed++;
+    }
+  }
+
+  if (csv) {
+    // One table across every file; tag columns are the union of all sessions’
+    const tagKeys = [...new Set(reports.flatMap(({ report }) => report.columns.slice(METRIC_COLUMNS.length)))];
+    const cols = (files.length > 1 ? ['file'] : []).concat(METRIC_COLUMNS, tagKeys);
+    const rows = reports.flatMap(({ file, report }) =>
+      report.reps.map((r) => Object.assign({ file: path.basename(file) }, r)));
+    console.log(metricsCSV(rows, cols).join('\n'));
+  } else {
+    const out = reports.map(({ file, report }) => Object.assign({ file }, report));
+    console.log(JSON.stringify(files.length > 1 ? out : out[0], null, 2));
+  }
+  return failed ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
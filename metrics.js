@@ -0,0 +1,801 @@
+/**
+ * === VolleyVision metrics: calibration, per-rep maths and motion, without p5 ===
+ *
+ * Pure functions: they take the calibration clicks, the net size and the rep
+ * points (canvas pixels + video seconds) explicitly and return plain objects,
+ * so the maths can be tested and batch-run in Node. sketch.js calls them with
+ * its globals; test/ and cli.js use them directly.
+ *
+ * Shapes used throughout:
+ *   net    = { heightM, widthM }            floor → top tape, antenna spacing
+ *   points = { LB, LT, RB, RT }             calibration clicks, each { x, y }
+ *   calib  = result of calibrate()          { pixelsPerMeter, topLine, homography, homographyInv, error }
+ *   rep points = [{ x, y, t }]
+ *
+ * Loaded with a <script> tag it defines the global VVMetrics; under Node it is
+ * a CommonJS module.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.VVMetrics = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ------------------------------ Constants -----------------------------------
+
+  const GRAVITY = 9.81;           // m/s²
+  const FIT_RMS_WARN_CM = 15;     // Fit RMS above this → “check” the clicks
+  const FIT_OUTLIER_CM = 30;      // A single click this far off the fitted curve is flagged
+  const FIT_G_TOLERANCE = 0.5;    // Implied gravity outside g·(1 ± this) → implausible timing/clicks
+  const CLICK_ERROR_PX = 2;       // Assumed calibration click accuracy for the error estimate
+  const CALIB_MIN_GAP_PX = 10;    // Clicks closer than this along an axis count as “the same x/y”
+  const CALIB_MAX_LEAN_DEG = 30;  // An antenna leaning further than this from vertical is suspicious
+  const CALIB_MAX_HEIGHT_RATIO = 4; // One antenna this many times taller on screen than the other
+  const ZONE_SPREAD_SCALE_CM = 100; // Contact spread at which the consistency half of the zone score hits 0
+
+  const MOTION_PIXEL_DELTA = 25;  // Luma change (0–255) for a pixel to count as moving
+  const MOTION_PEAK_K = 3;        // Touch = motion above median + this many robust SDs
+  const MOTION_MIN_GAP_S = 0.6;   // Two touches can’t be closer than this
+  const MOTION_REP_GAP_S = 3;     // A quieter stretch than this between touches separates reps
+
+  const SESSION_SCHEMA_VERSION = 1; // Bump (and add a migration) when the session file format changes
+
+  /** Arrow → plain word, so spreadsheets don’t have to deal with symbols. */
+  const DIRECTION_WORDS = { '→': 'right', '←': 'left', '•': 'none' };
+
+  /** Per-rep export columns before the tag columns (CSV order). */
+  const METRIC_COLUMNS = ['rep', 'peakM', 'aboveNetCM', 'widthM', 'direction', 'startT', 'peakT', 'endT', 'pointCount',
+    'fitApexM', 'fitApexT', 'hangTimeS', 'timeToApexS', 'releaseDeg', 'v0MS', 'fitRmsCM', 'fitQuality',
+    'zone', 'zoneHit', 'zoneDistCM', 'heightCamera', 'widthCamera'];
+
+  // ------------------------------ Linear algebra ------------------------------
+
+  /**
+   * Solve the 8 unknowns of H (h33 = 1) so that H·src ≅ dst for 4 point pairs.
+   * Returns a 3x3 row-major array of rows, or null if the system is singular.
+   */
+  function computeHomography(src, dst) {
+    const A = [], rhs = [];
+    for (let i = 0; i < 4; i++) {
+      const { x, y } = src[i], X = dst[i].x, Y = dst[i].y;
+      A.push([x, y, 1, 0, 0, 0, -x * X, -y * X]); rhs.push(X);
+      A.push([0, 0, 0, x, y, 1, -x * Y, -y * Y]); rhs.push(Y);
+    }
+    const h = solveLinear(A, rhs);
+    if (!h) return null;
+    return [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], 1]];
+  }
+
+  /** Gaussian elimination with partial pivoting. Returns null for a (near-)singular matrix. */
+  function solveLinear(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => row.concat(b[i])); // Augmented copy
+    for (let c = 0; c < n; c++) {
+      let piv = c;
+      for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[piv][c])) piv = r;
+      if (Math.abs(M[piv][c]) < 1e-10) return null;
+      [M[c], M[piv]] = [M[piv], M[c]];
+      for (let r = 0; r < n; r++) {
+        if (r === c) continue;
+        const f = M[r][c] / M[c][c];
+        for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+      }
+    }
+    return M.map((row, i) => row[n] / row[i]);
+  }
+
+  /** Inverse of a 3x3 matrix (adjugate / determinant), or null if singular. */
+  function invert3x3(m) {
+    const [[a, b, c], [d, e, f], [g, h, i]] = m;
+    const A = e * i - f * h, B = -(d * i - f * g), C = d * h - e * g;
+    const det = a * A + b * B + c * C;
+    if (Math.abs(det) < 1e-12) return null;
+    return [
+      [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+      [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+      [C / det, -(a * h - b * g) / det, (a * e - b * d) / det],
+    ];
+  }
+
+  /** Apply a homography to (x, y); returns { x, y } or null for points at infinity. */
+  function applyHomography(H, x, y) {
+    const w = H[2][0] * x + H[2][1] * y + H[2][2];
+    if (Math.abs(w) < 1e-12) return null;
+    return {
+      x: (H[0][0] * x + H[0][1] * y + H[0][2]) / w,
+      y: (H[1][0] * x + H[1][1] * y + H[1][2]) / w,
+    };
+  }
+
+  /** Ordinary least squares y = intercept + slope·x, or null if x has no spread. */
+  function leastSquaresLine(xs, ys) {
+    const n = xs.length;
+    const mx = xs.reduce((a, b) => a + b, 0) / n, my = ys.reduce((a, b) => a + b, 0) / n;
+    let sxx = 0, sxy = 0;
+    for (let i = 0; i < n; i++) { sxx += (xs[i] - mx) ** 2; sxy += (xs[i] - mx) * (ys[i] - my); }
+    if (sxx < 1e-12) return null;
+    const slope = sxy / sxx;
+    return { intercept: my - slope * mx, slope };
+  }
+
+  /** Least squares y = a + b·x + c·x² via the normal equations, or null if singular. */
+  function leastSquaresQuadratic(xs, ys) {
+    const S = [0, 0, 0, 0, 0], T = [0, 0, 0];               // Σxᵏ (k=0..4), Σxᵏ·y (k=0..2)
+    for (let i = 0; i < xs.length; i++) {
+      for (let k = 0; k <= 4; k++) S[k] += xs[i] ** k;
+      for (let k = 0; k <= 2; k++) T[k] += xs[i] ** k * ys[i];
+    }
+    const sol = solveLinear([[S[0], S[1], S[2]], [S[1], S[2], S[3]], [S[2], S[3], S[4]]], T);
+    return sol ? { a: sol[0], b: sol[1], c: sol[2] } : null;
+  }
+
+  // ------------------------------ Calibration ---------------------------------
+
+  /** True if all four calibration clicks are present. */
+  function isCompleteCalibration(points) {
+    return !!(points && points.LB && points.LT && points.RB && points.RT);
+  }
+
+  /**
+   * Homography from the four clicked corners to net-plane metres, or null if the
+   * clicks are degenerate. X = metres right of the left antenna, Y = metres above
+   * the floor: LB → (0,0), LT → (0,H), RB → (W,0), RT → (W,H).
+   */
+  function netPlaneHomography(points, widthM, heightM) {
+    return computeHomography(
+      [points.LB, points.LT, points.RB, points.RT],
+      [{ x: 0, y: 0 }, { x: 0, y: heightM }, { x: widthM, y: 0 }, { x: widthM, y: heightM }]
+    );
+  }
+
+  /**
+   * Everything derived from the four clicks: the legacy flat scale
+   * (pixelsPerMeter) and top-tape line y = m·x + b, the net-plane homography and
+   * its inverse, and the click-jitter error estimate. Returns null until all four
+   * clicks exist. topLine is null when LT and RT share an x (a vertical line has
+   * no slope); pixelsPerMeter is null when the net has no pixel height.
+   */
+  function calibrate(points, net, clickErrorPx = CLICK_ERROR_PX) {
+    if (!isCompleteCalibration(points)) return null;
+    const hLeft  = Math.abs(points.LT.y - points.LB.y); // Pixel height at left antenna
+    const hRight = Math.abs(points.RT.y - points.RB.y); // Pixel height at right antenna
+    const hAvgPx = (hLeft + hRight) / 2;                // Average to reduce perspective error
+    const pixelsPerMeter = hAvgPx > 0 ? hAvgPx / net.heightM : null;
+
+    // Top tape line through LT and RT: y = m*x + b
+    const dx = points.RT.x - points.LT.x;
+    let topLine = null;
+    if (Math.abs(dx) > 1e-9) {
+      const m = (points.RT.y - points.LT.y) / dx;
+      topLine = { m, b: points.LT.y - m * points.LT.x };
+    }
+
+    // Perspective-correct mapping onto the net plane
+    const homography = netPlaneHomography(points, net.widthM, net.heightM);
+    const homographyInv = homography ? invert3x3(homography) : null;
+    const error = homography && homographyInv ? estimateCalibrationError(points, net, homographyInv, clickErrorPx) : null;
+    return { pixelsPerMeter, topLine, homography, homographyInv, error };
+  }
+
+  /**
+   * Worst-case error (cm) at typical ball positions if any single calibration
+   * click were off by clickErrorPx in any direction. Four clicks fit a
+   * homography exactly, so there is no residual to report; sensitivity to click
+   * jitter is what tells a steep or tiny net apart from a trustworthy one.
+   * Returns { cm, quality: 'good' | 'fair' | 'poor' }.
+   */
+  function estimateCalibrationError(points, net, homographyInv, clickErrorPx = CLICK_ERROR_PX) {
+    const probes = [                                    // Net-plane points a set typically passes
+      { x: net.widthM * 0.5, y: net.heightM },
+      { x: net.widthM * 0.5, y: net.heightM + 2 },
+      { x: net.widthM * 0.15, y: net.heightM + 1 },
+      { x: net.widthM * 0.85, y: net.heightM + 1 },
+    ].map((P) => ({ P, px: applyHomography(homographyInv, P.x, P.y) })).filter((p) => p.px);
+
+    let worstM = 0;
+    for (const k of ['LB', 'LT', 'RB', 'RT']) {
+      for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const pts = Object.assign({}, points);
+        pts[k] = { x: points[k].x + dx * clickErrorPx, y: points[k].y + dy * clickErrorPx };
+        const H = netPlaneHomography(pts, net.widthM, net.heightM);
+        if (!H) return { cm: Infinity, quality: 'poor' };
+        for (const { P, px } of probes) {
+          const q = applyHomography(H, px.x, px.y);
+          if (!q) return { cm: Infinity, quality: 'poor' };
+          worstM = Math.max(worstM, Math.hypot(q.x - P.x, q.y - P.y));
+        }
+      }
+    }
+    const cm = worstM * 100;
+    return { cm, quality: cm < 5 ? 'good' : (cm < 15 ? 'fair' : 'poor') };
+  }
+
+  /**
+   * Sanity checks on the calibration clicks (any subset of them), as a list of
+   * { code, message }; empty when nothing looks wrong. These catch clicks that
+   * give a homography but describe no real net: swapped tops and bottoms, both
+   * antennae on one x, a twisted outline.
+   */
+  function validateCalibration(points) {
+    const p = points || {};
+    const warnings = [];
+    const warn = (code, message) => warnings.push({ code, message });
+
+    for (const [side, B, T] of [['left', p.LB, p.LT], ['right', p.RB, p.RT]]) {
+      if (!B || !T) continue;
+      if (T.y > B.y - CALIB_MIN_GAP_PX) warn(`${side}-inverted`, `The ${side} top click is not above the ${side} bottom click`);
+      else if (Math.atan2(Math.abs(T.x - B.x), B.y - T.y) * 180 / Math.PI > CALIB_MAX_LEAN_DEG) {
+        warn(`${side}-lean`, `The ${side} antenna leans more than ${CALIB_MAX_LEAN_DEG}° — check the clicks`);
+      }
+    }
+    if (p.LB && p.RB && p.RB.x < p.LB.x + CALIB_MIN_GAP_PX) {
+      if (Math.abs(p.RB.x - p.LB.x) < CALIB_MIN_GAP_PX) warn('same-x', 'Both antennae are at the same x — click the right antenna right of the left one');
+      else warn('swapped', 'The right antenna is left of the left antenna — were the sides swapped?');
+    } else if (p.LT && p.RT && Math.abs(p.RT.x - p.LT.x) < CALIB_MIN_GAP_PX) {
+      warn('top-vertical', 'Both top clicks are at the same x — the tape line would be vertical');
+    }
+    if (!isCompleteCalibration(p) || warnings.some((w) => /inverted|same-x|swapped/.test(w.code))) return warnings;
+
+    const hL = p.LB.y - p.LT.y, hR = p.RB.y - p.RT.y;
+    if (Math.max(hL, hR) > CALIB_MAX_HEIGHT_RATIO * Math.min(hL, hR)) {
+      warn('height-ratio', `One antenna is over ${CALIB_MAX_HEIGHT_RATIO}× taller than the other on screen`);
+    }
+    // The outline LB → RB → RT → LT must turn the same way at every corner
+    const quad = [p.LB, p.RB, p.RT, p.LT];
+    const turns = quad.map((a, i) => {
+      const b = quad[(i + 1) % 4], c = quad[(i + 2) % 4];
+      return Math.sign((b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x));
+    });
+    if (turns.includes(0) || !netPlaneHomography(p, 1, 1)) {
+      warn('degenerate', 'Three clicks are in a line — no net plane can be computed');
+    } else if (new Set(turns).size > 1) {
+      warn('twisted', 'The net outline crosses itself — check the click order');
+    }
+    return warnings;
+  }
+
+  /** Screen pixel → net-plane metres ({ x: along the net, y: above floor }), or null. */
+  function toNetPlane(calib, x, y) {
+    return calib && calib.homography ? applyHomography(calib.homography, x, y) : null;
+  }
+
+  /** Net-plane metres → screen pixel, or null. */
+  function fromNetPlane(calib, X, Y) {
+    return calib && calib.homographyInv ? applyHomography(calib.homographyInv, X, Y) : null;
+  }
+
+  /** Metres the point is ABOVE (+) or BELOW (–) the net tape at the same x, or null. */
+  function metersAboveNet(calib, net, x, y) {
+    const P = toNetPlane(calib, x, y);
+    if (P) return P.y - net.heightM;        // Perspective-correct height in the net plane
+    if (!calib || !calib.pixelsPerMeter || !calib.topLine) return null;
+    const yTop = calib.topLine.m * x + calib.topLine.b; // Pixel y of the tape at this x
+    return (yTop - y) / calib.pixelsPerMeter; // Screen y grows downward
+  }
+
+  /** Horizontal distance (metres) along the net plane from p1 to p2, or null. */
+  function metersHorizDistance(calib, p1, p2) {
+    const a = toNetPlane(calib, p1.x, p1.y), b = toNetPlane(calib, p2.x, p2.y);
+    if (a && b) return Math.abs(b.x - a.x);
+    if (!calib || !calib.pixelsPerMeter) return null; // Fallback: flat screen-space approximation
+    return Math.abs(p2.x - p1.x) / calib.pixelsPerMeter;
+  }
+
+  // ------------------------------ Per-rep metrics -----------------------------
+
+  /**
+   * Peak height, cm above the tape, width and direction of one rep:
+   * { peakM, aboveNetCM, peakT, widthM, direction }. All null with fewer than
+   * two points; peak values are null when no point can be measured.
+   */
+  function repMetrics(points, calib, net) {
+    if (!points || points.length < 2) {
+      return { peakM: null, aboveNetCM: null, peakT: null, widthM: null, direction: null };
+    }
+
+    let peakAboveM = -Infinity;                        // Highest “above net” value
+    let peakT = null;                                  // Video time of the highest click
+    for (const p of points) {
+      const a = metersAboveNet(calib, net, p.x, p.y);
+      if (a != null && a > peakAboveM) { peakAboveM = a; peakT = p.t; }
+    }
+    const found = isFinite(peakAboveM);
+
+    const start = points[0], end = points[points.length - 1];
+    return {
+      peakM: found ? net.heightM + peakAboveM : null,
+      aboveNetCM: found ? Math.round(peakAboveM * 100) : null,
+      peakT: found ? peakT : null,
+      widthM: metersHorizDistance(calib, start, end),
+      direction: end.x > start.x ? '→' : (end.x < start.x ? '←' : '•'),
+    };
+  }
+
+  /**
+   * Fit a projectile to the timestamped clicks in net-plane metres:
+   *   X(τ) = x0 + vx·τ,  Y(τ) = y0 + vy·τ − g/2·τ²   (τ = t − first click time)
+   * with g fixed, so three clicks already leave residuals to judge them by.
+   * A free quadratic is also fitted; the gravity it implies is a second check.
+   * Returns null without a homography or with fewer than 3 distinct timestamps.
+   */
+  function fitTrajectory(points, calib) {
+    if (!calib || !calib.homography || !points) return null;
+    const samples = [];
+    for (const p of points) {
+      const P = toNetPlane(calib, p.x, p.y);
+      if (P && p.t != null) samples.push({ t: p.t, X: P.x, Y: P.y, x: p.x, y: p.y });
+    }
+    if (new Set(samples.map((s) => s.t)).size < 3) return null;
+
+    const t0 = Math.min(...samples.map((s) => s.t));
+    const tau = samples.map((s) => s.t - t0);
+    const hx = leastSquaresLine(tau, samples.map((s) => s.X));
+    const hy = leastSquaresLine(tau, samples.map((s, i) => s.Y + 0.5 * GRAVITY * tau[i] * tau[i]));
+    if (!hx || !hy) return null;
+    const x0 = hx.intercept, vx = hx.slope, y0 = hy.intercept, vy = hy.slope;
+
+    // Residuals of the fixed-gravity model
+    const residCM = samples.map((s, i) => {
+      const X = x0 + vx * tau[i];
+      const Y = y0 + vy * tau[i] - 0.5 * GRAVITY * tau[i] * tau[i];
+      return Math.hypot(s.X - X, s.Y - Y) * 100;
+    });
+    const rmsCM = Math.sqrt(residCM.reduce((a, r) => a + r * r, 0) / residCM.length);
+
+    // Free quadratic Y = a + bτ + cτ² → implied g = −2c
+    const quad = leastSquaresQuadratic(tau, samples.map((s) => s.Y));
+    const impliedG = quad ? -2 * quad.c : null;
+
+    const hangTimeS = Math.max(...tau);
+    const timeToApexS = vy / GRAVITY;
+    const apexM = y0 + (vy * vy) / (2 * GRAVITY);
+
+    const flags = [];
+    if (vy <= 0) flags.push('ball never rises');
+    if (timeToApexS > hangTimeS) flags.push('apex after last click');
+    if (rmsCM > FIT_RMS_WARN_CM) flags.push(`clicks off the curve (RMS ${rmsCM.toFixed(0)} cm)`);
+    residCM.forEach((r, i) => { if (r > FIT_OUTLIER_CM) flags.push(`click ${i + 1} is ${r.toFixed(0)} cm off`); });
+    if (impliedG != null && Math.abs(impliedG - GRAVITY) > GRAVITY * FIT_G_TOLERANCE) {
+      flags.push(`implied gravity ${impliedG.toFixed(1)} m/s²`);
+    }
+
+    return {
+      t0, x0, vx, y0, vy,
+      apexM,
+      apexT: t0 + timeToApexS,
+      timeToApexS,
+      hangTimeS,
+      releaseDeg: Math.atan2(vy, Math.abs(vx)) * 180 / Math.PI,
+      v0: Math.hypot(vx, vy),
+      rmsCM,
+      impliedG,
+      outliers: samples.filter((s, i) => residCM[i] > FIT_OUTLIER_CM).map((s) => ({ x: s.x, y: s.y })),
+      flags,
+      quality: flags.length === 0 ? 'good' : (vy <= 0 || flags.length > 2 ? 'bad' : 'check'),
+    };
+  }
+
+  // ------------------------------ Target zones --------------------------------
+
+  /**
+   * Zone rectangle in net-plane metres: { x0, x1, y0, y1, cx, cy }. A zone is
+   * { name, side: 'left' | 'right', fromAntennaM, widthM, minAboveM, maxAboveM, location? }.
+   */
+  function zoneRect(z, net) {
+    const cx = z.side === 'right' ? net.widthM - z.fromAntennaM : z.fromAntennaM;
+    const y0 = net.heightM + z.minAboveM, y1 = net.heightM + z.maxAboveM;
+    return { x0: cx - z.widthM / 2, x1: cx + z.widthM / 2, y0, y1, cx, cy: (y0 + y1) / 2 };
+  }
+
+  /**
+   * Score a rep’s last point (the hitter contact) against the zone for its
+   * location tag, or the nearest zone: { zoneName, hit, distCM, dxCM, dyCM } or null.
+   */
+  function scoreZone(points, tags, zones, calib, net) {
+    if (!zones || !zones.length || !calib || !calib.homography || !points || !points.length) return null;
+    const last = points[points.length - 1];
+    const P = toNetPlane(calib, last.x, last.y);
+    if (!P) return null;
+
+    const loc = tags && tags.location;
+    let zone = loc ? zones.find((z) => z.location === loc) : null;
+    if (!zone) {                                         // Nearest zone centre
+      zone = zones.reduce((best, z) => {
+        const r = zoneRect(z, net), d = Math.hypot(P.x - r.cx, P.y - r.cy);
+        return !best || d < best.d ? { z, d } : best;
+      }, null).z;
+    }
+
+    const r = zoneRect(zone, net);
+    return {
+      zoneName: zone.name,
+      hit: P.x >= r.x0 && P.x <= r.x1 && P.y >= r.y0 && P.y <= r.y1,
+      distCM: Math.hypot(P.x - r.cx, P.y - r.cy) * 100,
+      dxCM: (P.x - r.cx) * 100,
+      dyCM: (P.y - r.cy) * 100,
+    };
+  }
+
+  /**
+   * Session accuracy over reps that have a zone score. The consistency score
+   * (0–100) is half hit rate, half tightness: contact spread (RMS distance of
+   * the offsets from their mean) of 0 cm scores 50, ZONE_SPREAD_SCALE_CM or more 0.
+   */
+  function zoneSessionScore(reps) {
+    const scored = reps.map((r) => r.zone).filter(Boolean);
+    if (!scored.length) return null;
+    const n = scored.length;
+    const hits = scored.filter((z) => z.hit).length;
+    const mx = scored.reduce((a, z) => a + z.dxCM, 0) / n, my = scored.reduce((a, z) => a + z.dyCM, 0) / n;
+    const spreadCM = Math.sqrt(scored.reduce((a, z) => a + (z.dxCM - mx) ** 2 + (z.dyCM - my) ** 2, 0) / n);
+    const hitRatePct = (hits / n) * 100;
+    return {
+      n, hits, hitRatePct, spreadCM,
+      avgDistCM: scored.reduce((a, z) => a + z.distCM, 0) / n,
+      score: hitRatePct / 2 + 50 * Math.max(0, 1 - spreadCM / ZONE_SPREAD_SCALE_CM),
+    };
+  }
+
+  /** repMetrics + fit + zone score for one rep (what the stats table and exports show). */
+  function analyseRep(points, tags, calib, net, zones) {
+    const measurable = !!points && points.length >= 2;
+    return Object.assign(repMetrics(points, calib, net), {
+      fit: measurable ? fitTrajectory(points, calib) : null,
+      zone: measurable ? scoreZone(points, tags, zones, calib, net) : null,
+    });
+  }
+
+  // ------------------------------ Two cameras ---------------------------------
+
+  /**
+   * Pick each axis from the view best placed to measure it: height from the
+   * smaller calibration error, width from a side-on camera first, then the
+   * smaller error (ties keep the rep’s own view). views[0] is the rep’s own
+   * view: [{ cam: 0 | 1, m, errCM, side }] with m its analyseRep result.
+   * toOwnClock(t) converts the other view’s clip time. Returns the fields to
+   * copy onto the rep: the borrowed metrics plus sources = { height, width }
+   * as 'A' / 'B' (null when neither view measured that axis).
+   */
+  function combineCameraMetrics(views, toOwnClock) {
+    const own = views[0];
+    const height = views.filter((v) => v.m.peakM != null)
+      .sort((a, b) => a.errCM - b.errCM)[0];
+    const width = views.filter((v) => v.m.widthM != null)
+      .sort((a, b) => b.side - a.side || a.errCM - b.errCM)[0];
+
+    const out = {};
+    if (height && height !== own) {
+      out.peakM = height.m.peakM;
+      out.aboveNetCM = height.m.aboveNetCM;
+      out.peakT = height.m.peakT != null ? toOwnClock(height.m.peakT) : null; // Reported on the own clock
+    }
+    if (width && width !== own) {
+      out.widthM = width.m.widthM;
+      out.direction = width.m.direction;
+    }
+    out.sources = { height: height ? 'AB'[height.cam] : null, width: width ? 'AB'[width.cam] : null };
+    return out;
+  }
+
+  // ------------------------------ Summaries & export rows ---------------------
+
+  /** best (highest), average, min, max and population standard deviation of the non-null values. */
+  function summaryStats(values) {
+    const v = values.filter((x) => x != null && isFinite(x));
+    if (!v.length) return { n: 0, best: null, average: null, min: null, max: null, sd: null };
+    const avg = v.reduce((a, b) => a + b, 0) / v.length;
+    const variance = v.reduce((a, b) => a + (b - avg) * (b - avg), 0) / v.length;
+    const max = Math.max(...v);
+    return { n: v.length, best: max, average: avg, min: Math.min(...v), max, sd: Math.sqrt(variance) };
+  }
+
+  /** Summary block for the numeric per-rep columns. */
+  function metricsSummary(rows) {
+    return {
+      peakM: summaryStats(rows.map((r) => r.peakM)),
+      aboveNetCM: summaryStats(rows.map((r) => r.aboveNetCM)),
+      widthM: summaryStats(rows.map((r) => r.widthM)),
+      fitApexM: summaryStats(rows.map((r) => r.fitApexM)),
+      hangTimeS: summaryStats(rows.map((r) => r.hangTimeS)),
+      releaseDeg: summaryStats(rows.map((r) => r.releaseDeg)),
+      v0MS: summaryStats(rows.map((r) => r.v0MS)),
+    };
+  }
+
+  /** One flat export row for an analysed rep (index is 0-based); tagKeys become trailing columns. */
+  function repRow(r, index, tagKeys) {
+    const pts = r.points || [];
+    return {
+      rep: index + 1,
+      peakM: r.peakM,
+      aboveNetCM: r.aboveNetCM,
+      widthM: r.widthM,
+      direction: r.direction ? DIRECTION_WORDS[r.direction] : null,
+      startT: pts.length ? pts[0].t : null,
+      peakT: r.peakT ?? null,
+      endT: pts.length ? pts[pts.length - 1].t : null,
+      pointCount: pts.length,
+      fitApexM: r.fit ? r.fit.apexM : null,
+      fitApexT: r.fit ? r.fit.apexT : null,
+      hangTimeS: r.fit ? r.fit.hangTimeS : null,
+      timeToApexS: r.fit ? r.fit.timeToApexS : null,
+      releaseDeg: r.fit ? r.fit.releaseDeg : null,
+      v0MS: r.fit ? r.fit.v0 : null,
+      fitRmsCM: r.fit ? r.fit.rmsCM : null,
+      fitQuality: r.fit ? r.fit.quality : null,
+      zone: r.zone ? r.zone.zoneName : null,
+      zoneHit: r.zone ? r.zone.hit : null,
+      zoneDistCM: r.zone ? r.zone.distCM : null,
+      heightCamera: r.sources ? r.sources.height : null,
+      widthCamera: r.sources ? r.sources.width : null,
+      ...Object.fromEntries(tagKeys.map((k) => [k, (r.tags && r.tags[k]) || null])),
+    };
+  }
+
+  /** One CSV cell: numbers to 3 decimals, text quoted when it contains , " or a newline. */
+  function csvCell(v) {
+    if (v == null) return '';
+    if (typeof v === 'number') return String(Math.round(v * 1000) / 1000);
+    const str = String(v);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  /** CSV lines: a header + one line per row, then a blank line and the summary block. */
+  function metricsCSV(rows, cols) {
+    const lines = [cols.join(',')];
+    for (const r of rows) lines.push(cols.map((c) => csvCell(r[c])).join(','));
+    lines.push('');
+    lines.push(['metric', 'n', 'best', 'average', 'min', 'max', 'sd'].join(','));
+    for (const [metric, st] of Object.entries(metricsSummary(rows))) {
+      lines.push([metric, st.n, st.best, st.average, st.min, st.max, st.sd].map(csvCell).join(','));
+    }
+    return lines;
+  }
+
+  // ------------------------------ Rep comparison ------------------------------
+
+  /** Rows of the side-by-side comparison: [key, label, unit, decimals]. */
+  const COMPARE_METRICS = [
+    ['peakM', 'Peak height', 'm', 2],
+    ['aboveNetCM', 'Above net', 'cm', 0],
+    ['widthM', 'Width', 'm', 2],
+    ['fitApexM', 'Fit apex', 'm', 2],
+    ['timeToApexS', 'Time to apex', 's', 2],
+    ['hangTimeS', 'Hang time', 's', 2],
+    ['peakAfterS', 'Set → highest click', 's', 2],
+    ['durationS', 'Set → last click', 's', 2],
+    ['v0MS', 'Release speed', 'm/s', 1],
+    ['releaseDeg', 'Release angle', '°', 0],
+  ];
+
+  /**
+   * Two analysed reps side by side: [{ key, label, unit, decimals, a, b, delta }]
+   * with delta = b − a (null when either is unknown). Timings run from the
+   * set contact (first click).
+   */
+  function compareReps(a, b) {
+    const flat = (r) => {
+      const row = repRow(r, 0, []);
+      const timed = row.startT != null;
+      row.peakAfterS = timed && row.peakT != null ? row.peakT - row.startT : null;
+      row.durationS = timed && row.endT != null && row.pointCount >= 2 ? row.endT - row.startT : null;
+      return row;
+    };
+    const A = flat(a), B = flat(b);
+    return COMPARE_METRICS.map(([key, label, unit, decimals]) => ({
+      key, label, unit, decimals, a: A[key], b: B[key],
+      delta: A[key] != null && B[key] != null ? B[key] - A[key] : null,
+    }));
+  }
+
+  /**
+   * A rep’s clicks relative to its set contact: [{ t, dx, dy }] in seconds and
+   * net-plane metres from the first click, so reps from different clips or
+   * calibrations can be overlaid. null without a homography or two clicks.
+   */
+  function alignedTrack(points, calib) {
+    if (!points || points.length < 2) return null;
+    const plane = points.map((p) => toNetPlane(calib, p.x, p.y));
+    if (plane.some((P) => !P)) return null;
+    const t0 = points[0].t || 0;
+    return points.map((p, i) => ({
+      t: p.t != null ? p.t - t0 : 0,
+      dx: plane[i].x - plane[0].x,
+      dy: plane[i].y - plane[0].y,
+    }));
+  }
+
+  /** The part of an aligned track reached by time t, ending at the interpolated ball position. */
+  function trackUntil(track, t) {
+    const out = [];
+    for (let i = 0; i < track.length; i++) {
+      const p = track[i];
+      if (p.t <= t) { out.push(p); continue; }
+      const prev = track[i - 1];
+      if (prev) {
+        const k = (t - prev.t) / (p.t - prev.t);
+        out.push({ t, dx: prev.dx + k * (p.dx - prev.dx), dy: prev.dy + k * (p.dy - prev.dy) });
+      }
+      break;
+    }
+    return out;
+  }
+
+  // ------------------------------ Motion pre-pass -----------------------------
+
+  /** Luma (0–255) of every pixel of an RGBA buffer (ImageData.data). */
+  function lumaFrame(rgba) {
+    const out = new Uint8Array(rgba.length / 4);
+    for (let i = 0, k = 0; k < out.length; i += 4, k++) out[k] = (rgba[i] * 77 + rgba[i + 1] * 150 + rgba[i + 2] * 29) >> 8;
+    return out;
+  }
+
+  /** Fraction (0–1) of pixels whose luma changed by more than delta between two frames. */
+  function motionEnergy(prev, curr, delta = MOTION_PIXEL_DELTA) {
+    let moving = 0;
+    for (let k = 0; k < curr.length; k++) if (Math.abs(curr[k] - prev[k]) > delta) moving++;
+    return curr.length ? moving / curr.length : 0;
+  }
+
+  function median(values) {
+    const v = values.slice().sort((a, b) => a - b);
+    const m = v.length >> 1;
+    return v.length % 2 ? v[m] : (v[m - 1] + v[m]) / 2;
+  }
+
+  /**
+   * Probable touches, ball flights and rep boundaries from a motion series
+   * [{ t, energy }] (evenly sampled). A touch is a burst of motion well above
+   * the clip’s typical level (median + k robust SDs), at least minGapS from a
+   * stronger one. Touches closer than repGapS form one rep; the ball is in
+   * flight between them, and the set is the second contact (pass, set, hit),
+   * or the first when fewer than three were seen.
+   * Returns { touches: [{ t, strength }], flights: [{ t0, t1 }], reps: [{ t0, t1, setT }] }.
+   */
+  function findMotionCandidates(samples, opts = {}) {
+    const k = opts.k ?? MOTION_PEAK_K;
+    const minGapS = opts.minGapS ?? MOTION_MIN_GAP_S;
+    const repGapS = opts.repGapS ?? MOTION_REP_GAP_S;
+    if (!samples || samples.length < 5) return { touches: [], flights: [], reps: [] };
+
+    const raw = samples.map((s) => s.energy);
+    const e = raw.map((v, i) => (raw[Math.max(0, i - 1)] + v + raw[Math.min(raw.length - 1, i + 1)]) / 3);
+    const med = median(e);
+    const sd = Math.max(1.4826 * median(e.map((v) => Math.abs(v - med))), 1e-4); // MAD → SD; floor for still clips
+    const threshold = med + k * sd;
+
+    const peaks = [];
+    for (let i = 1; i < e.length - 1; i++) {
+      if (!(e[i] > threshold && e[i] >= e[i - 1] && e[i] > e[i + 1])) continue;
+      peaks.push([i - 1, i, i + 1].reduce((a, b) => (raw[b] > raw[a] ? b : a))); // Smoothing blurs the timing
+    }
+    const kept = [];
+    for (const i of peaks.sort((a, b) => e[b] - e[a])) {        // Strongest first
+      if (kept.every((j) => Math.abs(samples[j].t - samples[i].t) >= minGapS)) kept.push(i);
+    }
+    const touches = kept.sort((a, b) => a - b).map((i) => ({ t: samples[i].t, strength: (e[i] - med) / sd }));
+
+    const groups = [];
+    for (const touch of touches) {
+      const g = groups[groups.length - 1];
+      if (g && touch.t - g[g.length - 1].t <= repGapS) g.push(touch);
+      else groups.push([touch]);
+    }
+    const flights = groups.flatMap((g) => g.slice(1).map((touch, i) => ({ t0: g[i].t, t1: touch.t })));
+    const reps = groups.map((g) => ({ t0: g[0].t, t1: g[g.length - 1].t, setT: (g.length >= 3 ? g[1] : g[0]).t }));
+    return { touches, flights, reps };
+  }
+
+  // ------------------------------ Session files -------------------------------
+
+  /**
+   * Migrations from version N to N+1. Version 0 is the unversioned shape
+   * ({ trails, calibPts, current }) that mirrored the globals directly.
+   */
+  const SESSION_MIGRATIONS = {
+    0: (doc) => ({
+      schemaVersion: 1,
+      app: 'VolleyVision',
+      savedAt: doc.savedAt || null,
+      video: { name: doc.videoName || null, duration: doc.duration ?? null },
+      calibration: {
+        step: doc.calibPts && doc.calibPts.RT ? 4 : 0,
+        points: doc.calibPts || { LB: null, LT: null, RB: null, RT: null },
+      },
+      reps: doc.trails || [],
+      current: doc.current || null,
+    }),
+  };
+
+  /** Bring any older session document up to SESSION_SCHEMA_VERSION. Throws on unknown formats. */
+  function migrateSession(doc) {
+    if (!doc || typeof doc !== 'object') throw new Error('Session file is not a JSON object');
+    let version = Number.isInteger(doc.schemaVersion) ? doc.schemaVersion : 0;
+    if (version > SESSION_SCHEMA_VERSION) {
+      throw new Error(`Session file is version ${version}; this app reads up to ${SESSION_SCHEMA_VERSION}`);
+    }
+    while (version < SESSION_SCHEMA_VERSION) {
+      doc = SESSION_MIGRATIONS[version](doc);
+      version = doc.schemaVersion;
+    }
+    return doc;
+  }
+
+  /**
+   * Net and camera-A calibration stored in a migrated session document:
+   * { net: { presetId, heightM, widthM }, calib } (calib null until all four
+   * clicks exist). Net size defaults to the app’s (men’s beach) for files
+   * that predate it.
+   */
+  function sessionCalibration(doc) {
+    const c = doc.calibration || {};
+    const net = { presetId: c.netPresetId || null, heightM: c.netHeightM || 2.43, widthM: c.netWidthM || 8 };
+    return { net, calib: calibrate(c.points, net) };
+  }
+
+  /**
+   * Every rep of a migrated session re-analysed from its clicks (stored
+   * metrics are ignored): [{ points, tags, ...analyseRep }]. Two-camera
+   * sessions (a calibrated secondCamera) combine camera A’s clicks with
+   * reps[].pointsB per axis, as the app does with both clips open.
+   */
+  function sessionReps(doc, { net, calib } = sessionCalibration(doc)) {
+    const zones = Array.isArray(doc.zones) ? doc.zones : [];
+    const reps = (doc.reps || []).map((r) => Object.assign(
+      { points: r.points || [], tags: r.tags || null },
+      analyseRep(r.points || [], r.tags || null, calib, net, zones)
+    ));
+
+    const cam = doc.secondCamera;
+    const calibB = cam && cam.calibration ? calibrate(cam.calibration.points, net) : null;
+    if (calibB) {                           // Same rule as the app: each axis from the better view
+      const offsetS = isFinite(cam.offsetS) ? cam.offsetS : 0; // Camera B time = camera A time + offset
+      const errCM = (cb) => (cb && cb.error ? cb.error.cm : Infinity);
+      reps.forEach((rep, k) => {
+        const r = doc.reps[k];
+        const theirs = analyseRep(r.pointsB || [], r.tags || null, calibB, net, zones);
+        Object.assign(rep, combineCameraMetrics([
+          { cam: 0, m: rep, errCM: errCM(calib), side: (cam.roleA || 'behind') === 'side' ? 1 : 0 },
+          { cam: 1, m: theirs, errCM: errCM(calibB), side: (cam.role || 'side') === 'side' ? 1 : 0 },
+        ], (t) => t - offsetS));
+      });
+    }
+    return reps;
+  }
+
+  /**
+   * Recompute every metric of a saved session from its clicks:
+   * { video, net, calibration, reps, summary, zoneScore }.
+   */
+  function sessionReport(doc) {
+    doc = migrateSession(doc);
+    const { net, calib } = sessionCalibration(doc);
+    const reps = sessionReps(doc, { net, calib });
+    const tagKeys = [...new Set(reps.flatMap((r) => Object.keys(r.tags || {})))];
+    const rows = reps.map((r, i) => repRow(r, i, tagKeys));
+    return {
+      video: doc.video ? doc.video.name : null,
+      net,
+      calibration: calib && calib.error ? { errorCM: calib.error.cm, quality: calib.error.quality } : null,
+      columns: METRIC_COLUMNS.concat(tagKeys),
+      reps: rows,
+      summary: metricsSummary(rows),
+      zoneScore: zoneSessionScore(reps),
+    };
+  }
+
+  return {
+    GRAVITY, FIT_RMS_WARN_CM, FIT_OUTLIER_CM, FIT_G_TOLERANCE, CLICK_ERROR_PX, ZONE_SPREAD_SCALE_CM,
+    CALIB_MIN_GAP_PX, CALIB_MAX_LEAN_DEG, CALIB_MAX_HEIGHT_RATIO,
+    MOTION_PIXEL_DELTA, MOTION_PEAK_K, MOTION_MIN_GAP_S, MOTION_REP_GAP_S,
+    SESSION_SCHEMA_VERSION, DIRECTION_WORDS, METRIC_COLUMNS,
+    computeHomography, solveLinear, invert3x3, applyHomography, leastSquaresLine, leastSquaresQuadratic,
+    isCompleteCalibration, netPlaneHomography, calibrate, estimateCalibrationError, validateCalibration,
+    toNetPlane, fromNetPlane, metersAboveNet, metersHorizDistance,
+    repMetrics, fitTrajectory, zoneRect, scoreZone, zoneSessionScore, analyseRep, combineCameraMetrics,
+    summaryStats, metricsSummary, repRow, csvCell, metricsCSV,
+    COMPARE_METRICS, compareReps, alignedTrack, trackUntil,
+    lumaFrame, motionEnergy, findMotionCandidates,
+    migrateSession, sessionCalibration, sessionReps, sessionReport,
+  };
+});
@@ -1,16 +1,151 @@
 /**
  * === VolleyVision: p5.js video annotation for volleyball sets ===
  *
- * Loads a training MP4, guides the user through a 4-click net calibration,
+ * Loads a training clip (or any local video picked/dropped by the user), guides
+ * the user through a 4-click net calibration,
  * records ball trails by clicking the video, and computes per-rep metrics:
  *   - Peak height (m) and cm above net
  *   - Horizontal width (m) and left/right direction
+ *   - Projectile-fit apex, hang time, release angle and speed (from the
+ *     timestamped clicks), with a fit-quality flag
+ * Heights and widths come from a homography that maps screen pixels onto the
+ * net plane in metres, so off-axis camera angles are corrected for.
  * A dashboard and a stats table are shown when the video finishes.
  */
 
 // ------------------------------ Global constants ------------------------------
 
-const NET_HEIGHT_M = 2.43; // Men’s beach volleyball net height in metres
+// Calibration/metric maths, fit thresholds and session migrations live in
+// metrics.js (loaded first by index.html; also used by the Node tests and cli.js).
+const {
+  GRAVITY, SESSION_SCHEMA_VERSION,
+  applyHomography, summaryStats, metricsSummary, zoneSessionScore, migrateSession,
+} = VVMetrics;
+
+/**
+ * Net formats offered before calibration. heightM is floor → top tape,
+ * widthM is the antenna-to-antenna distance used by the homography.
+ */
+const NET_PRESETS = [
+  { id: 'men-beach',     label: 'Men’s beach (2.43 m)',          heightM: 2.43, widthM: 8 },
+  { id: 'women-beach',   label: 'Women’s beach (2.24 m)',        heightM: 2.24, widthM: 8 },
+  { id: 'men-indoor',    label: 'Men’s indoor (2.43 m)',         heightM: 2.43, widthM: 9 },
+  { id: 'women-indoor',  label: 'Women’s indoor (2.24 m)',       heightM: 2.24, widthM: 9 },
+  { id: 'youth-235',     label: 'Youth boys U16 (2.35 m)',       heightM: 2.35, widthM: 9 },
+  { id: 'youth-224',     label: 'Youth boys U14 / girls (2.24 m)', heightM: 2.24, widthM: 9 },
+  { id: 'youth-213',     label: 'Youth girls U12 (2.13 m)',      heightM: 2.13, widthM: 9 },
+  { id: 'youth-200',     label: 'Mini volleyball (2.00 m)',      heightM: 2.00, widthM: 6 },
+  { id: 'custom',        label: 'Custom…',                       heightM: null, widthM: null },
+];
+const DEFAULT_NET_PRESET = 'men-beach'; // Matches the sample clip
+
+// Ball tracker (template matching on downscaled frames)
+const TRACK_SCALE = 0.5;        // Processing resolution relative to the canvas
+const TRACK_TEMPLATE_R = 6;     // Template half-size (processing px)
+const TRACK_SEARCH_R = 24;      // Search window half-size around the predicted position
+const TRACK_LOST_MSE = 1600;    // Mean squared RGB error above which the ball counts as lost
+const TRACK_MAX_FRAMES = 240;   // Safety cap per tracking run
+
+// Rep tags (entered after N). Setter/hitter are free text; the rest pick from lists.
+const TAG_FIELDS = [
+  { key: 'setter',   label: 'Setter' },
+  { key: 'hitter',   label: 'Hitter' },
+  { key: 'setType',  label: 'Set type', options: ['high', 'shoot', 'back set', 'quick'] },
+  { key: 'location', label: 'Location', options: ['outside (4)', 'middle (3)', 'opposite (2)', 'pipe', 'back row'] },
+  { key: 'outcome',  label: 'Outcome',  options: ['kill', 'error', 'dug', 'out'] },
+];
+
+const DEFAULT_VIDEO = 'assets-stupid-training-720p.mp4'; // Sample clip shipped with the repo
+const CANVAS_MAX_W = 960;  // Canvas is sized to the clip’s aspect ratio inside this box
+const CANVAS_MAX_H = 720;
+const MAX_RECENT_CLIPS = 8; // How many picked/dropped clips to keep in the recent list
+const HISTORY_LIMIT = 200;  // Undo steps kept in memory
+
+const DEFAULT_FPS = 30;     // Assumed until the real frame rate is detected or entered
+const COMMON_FPS = [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60, 90, 100, 119.88, 120, 240];
+const FPS_SAMPLES = 24;     // Frame intervals to collect before settling on a rate
+const PLAYBACK_SPEEDS = [0.25, 0.5, 0.75, 1, 1.5, 2];
+
+// Annotated video export
+const EXPORT_FPS = 30;        // Canvas capture rate for the WebM
+const EXPORT_PAD_S = 1;       // Lead-in/out around each rep in single-rep and reel exports
+const EXPORT_HOLD_S = 1.5;    // How long a finished trail stays on screen
+
+// Cross-session history (IndexedDB)
+const HISTORY_DB = 'volleyvision';
+const HISTORY_STORE = 'sessions';
+const LAST_ATHLETE_KEY = 'volleyvision.lastAthlete';
+
+// Target zones (net-plane metres). fromAntennaM is measured inwards from the
+// zone’s antenna (negative = outside it); the band is metres above the tape.
+const ZONES_KEY = 'volleyvision.zones';       // Last-used zones, reused across sessions
+const DEFAULT_ZONES = [
+  { name: 'Outside hitter', side: 'left',  fromAntennaM: 0.75, widthM: 1.0, minAboveM: 0.3, maxAboveM: 1.0, location: 'outside (4)' },
+  { name: 'Opposite',       side: 'right', fromAntennaM: 0.75, widthM: 1.0, minAboveM: 0.3, maxAboveM: 1.0, location: 'opposite (2)' },
+];
+
+// End-screen visualisations
+const END_VIEWS = [
+  { id: 'trails',  label: '👁 View: Trails' },
+  { id: 'scatter', label: '👁 View: Contacts & apexes' },
+  { id: 'heatmap', label: '👁 View: Heatmap' },
+  { id: 'side',    label: '👁 View: Side profile' },
+];
+const HEATMAP_CELL = 12;      // Heatmap grid cell (canvas px)
+const HEATMAP_SIGMA = 18;     // Gaussian spread of each point (canvas px)
+
+// Multi-camera sessions (a second clip of the same sets, e.g. from the side)
+const CAMERA_ROLES = [
+  { id: 'behind', label: 'Behind setter' },
+  { id: 'side',   label: 'Side' },
+  { id: 'other',  label: 'Other angle' },
+];
+const CAMERA_INSET_W = 0.28;  // Inactive camera’s picture-in-picture width (fraction of canvas)
+const SYNC_DRIFT_S = 0.15;    // Re-seek the follower camera when it drifts further than this while playing
+const SYNC_AUDIO_S = 120;     // Seconds of audio analysed per clip for clap detection
+const SYNC_MAX_LAG_S = 15;    // Largest clip offset the clap search considers
+const SYNC_ENVELOPE_HZ = 100; // Loudness envelope rate used for the clap cross-correlation
+
+// Motion pre-pass (candidate touches / set contacts on the timeline)
+const MOTION_SAMPLE_HZ = 10;  // Frames analysed per second of video
+const MOTION_W = 96;          // Width the frames are downsampled to before differencing
+
+// Responsive layout and touch
+const VIEWPORT_MARGIN_PX = 16;  // Page width kept free beside the canvas when it is scaled down
+const VIEWPORT_RESERVE_PX = 60; // Window height kept free under the canvas (for the timeline)
+const VIEW_ZOOM_MAX = 6;        // Pinch-zoom limit
+const TOUCH_TAP_SLOP_PX = 10;   // A touch that moves less than this (canvas px) is a tap
+const TOUCH_TAP_MS = 300;       // A two-finger touch shorter than this (without moving) undoes
+const TOUCH_SWIPE_PX = 40;      // Horizontal swipe distance per frame stepped
+
+// Calibration checking and reuse
+const CALIBRATIONS_KEY = 'volleyvision.calibrations'; // Named calibrations for cameras that never move
+const LOUPE_ZOOM = 4;         // Magnification of the loupe shown while placing calibration points
+const LOUPE_R = 60;           // Loupe radius (canvas px)
+const CALIB_GRAB_PX = 14;     // How close a press must be to pick up a calibration handle
+
+// Shortcuts: default keyboard key (KeyboardEvent.key, letters lower-case, '' = unbound)
+// and Gamepad API button index (null = unbound) per action. Both can be remapped.
+const SHORTCUTS_KEY = 'volleyvision.shortcuts';
+const SHORTCUT_ACTIONS = [
+  { id: 'playPause',    label: 'Play / pause',                       key: ' ',     pad: 0 },
+  { id: 'addPoint',     label: 'Add point at the mouse pointer',     key: '',      pad: 1 },
+  { id: 'endRep',       label: 'End rep (then tag it)',              key: 'n',     pad: 2 },
+  { id: 'removePoint',  label: 'Remove last point',                  key: 'z',     pad: null },
+  { id: 'stepBack',     label: 'Step one frame back',                key: ',',     pad: 14 },
+  { id: 'stepForward',  label: 'Step one frame forward',             key: '.',     pad: 15 },
+  { id: 'prevSet',      label: 'Jump to the previous candidate set',  key: '[',     pad: 4 },
+  { id: 'nextSet',      label: 'Jump to the next candidate set',      key: ']',     pad: 5 },
+  { id: 'replay',       label: 'Replay from the start, trails hidden', key: 'Enter', pad: null },
+  { id: 'restart',      label: 'Restart video, trails hidden',       key: 's',     pad: null },
+  { id: 'track',        label: 'Track the ball from the next click', key: 't',     pad: null },
+  { id: 'switchCamera', label: 'Switch camera (two-camera sessions)', key: 'v',    pad: null },
+  { id: 'adjustCalib',  label: 'Adjust calibration handles',         key: 'c',     pad: null },
+  { id: 'reset',        label: 'Full reset (asks first)',            key: 'r',     pad: null },
+  { id: 'help',         label: 'Show / hide the shortcut list',      key: '?',     pad: null },
+];
+
+const AUTOSAVE_KEY = 'volleyvision.autosave'; // localStorage key for the crash-safety autosave
 
 // ------------------------------ Video state -----------------------------------
 
@@ -19,10 +154,16 @@ let ready = false;   // True once a decodable video frame is available
 let warmed = false;  // True after a brief play/pause to “prime” the first frame
 let started = false; // True after playback begins post-calibration
 
+let videoName = DEFAULT_VIDEO; // File name of the clip currently loaded into vid
+let detectedFps = null;        // Frame rate measured with requestVideoFrameCallback
+let fpsOverride = null;        // Frame rate typed in by the user (wins over detection)
+let recentClips = [];          // [{ name, url }] clips loaded this page session (newest first)
+
 // ------------------------------ Rep data --------------------------------------
 
 /**
- * A rep = one coloured trail with computed metrics.
+ * A rep = one coloured trail with computed metrics and optional tags
+ * ({ setter, hitter, setType, location, outcome }, see TAG_FIELDS).
  * current = the rep being drawn; trails = completed reps.
  */
 let trails = [];                           // All reps finished so far
@@ -35,18 +176,59 @@ let showTrails = true;    // Toggle to show/hide trails on end screen
 
 /**
  * User clicks the net at: LB, LT, RB, RT.
- * From this we compute pixelsPerMeter and the top-tape line y = m*x + b.
+ * From this we compute pixelsPerMeter and the top-tape line y = m*x + b, plus a
+ * homography onto the net plane: X = metres right of the left antenna,
+ * Y = metres above the floor (LB → (0,0), LT → (0,H), RB → (W,0), RT → (W,H)).
  */
 let calibStep = 0;                                        // 0..4 (4 = done)
 let calibPts = { LB: null, LT: null, RB: null, RT: null };// Stores the 4 clicks
 let pixelsPerMeter = null;                                // px per metre
 let topLine = null;                                       // { m, b } for top tape
+let netPresetId = DEFAULT_NET_PRESET;                     // Which NET_PRESETS entry is active
+let netHeightM = 2.43;                                    // Floor → top tape (m)
+let netWidthM = 8;                                        // Antenna-to-antenna distance (m)
+let homography = null;     // 3x3 matrix: screen px → net-plane metres (null = use pixelsPerMeter)
+let homographyInv = null;  // 3x3 matrix: net-plane metres → screen px
+let calibError = null;     // { cm, quality } worst-case metric error from 2 px of click jitter
+let calibFrame = null;     // <canvas> copy of the frame the net was clicked on (athlete report background)
 
 // ------------------------------ UI widgets ------------------------------------
 
 let btnReplay, btnToggle, btnSnapshot, btnRestart, btnStats; // End-screen buttons
+let btnExportCSV, btnExportJSON;                             // Per-rep metric downloads
+let btnExportVideo;                                          // Opens the WebM export panel
+let btnSaveHistory;                                          // Store this session for the athlete
+let btnReport;                                               // Self-contained HTML athlete report
+let btnCompare;                                              // Two reps side by side
+let viewSelect;                                              // Trails / scatter / heatmap / side view
+let endView = 'trails';                                      // Active end-screen visualisation
+let dashButtons = [];         // All end-screen buttons, in left→right order
+let dashBar;                  // Row under the canvas holding dashButtons (wraps on narrow screens)
 let statsDiv;                 // Div under canvas to display the stats table
 let statsVisible = true;      // Whether the stats div is shown
+let videoBar;                 // Div under canvas with the file picker + recent clips list
+let recentSelect;             // <select> listing recentClips
+let netPanel;                 // Net format settings, shown before/while calibrating
+let netPresetSelect;          // <select> of NET_PRESETS
+let netHeightInput, netWidthInput; // Custom height/width fields
+let trackPanel, trackStatus;  // Ball-tracker controls and status text
+let btnTrackAccept, btnTrackReject;
+let tagPanel;                 // Pops up after N to label the rep just finished
+let tagInputs = {};           // TAG_FIELDS key → p5 input/select inside tagPanel
+let tagRepIdx = -1;           // Index into trails of the rep being tagged
+let tagTitle;                 // “Tag rep N” heading inside tagPanel
+let filterBar;                // End-screen tag filters
+let filterSelects = {};       // TAG_FIELDS key → p5 select inside filterBar
+let timelineDiv;              // Strip under the canvas: one coloured span per rep
+let timelinePlayhead;         // Thin marker at the current video time
+let repEditBar;               // End-screen rep editing buttons
+let repEditButtons = [];      // Buttons inside repEditBar (enabled when a rep is selected)
+let repEditHint;              // Help text inside repEditBar
+let selectedRep = -1;         // Index into trails of the highlighted rep (-1 = none)
+let dragPoint = null;         // { rep, idx, moved } while a point is being dragged on the end screen
+let btnRestoreAutosave;       // Shown when localStorage holds an autosaved session
+let fpsInput;                 // Manual frame-rate field (placeholder shows the detected rate)
+let speedSelect;              // Playback speed <select>
 
 // ------------------------------ Colour palette --------------------------------
 
@@ -66,34 +248,37 @@ const nextColour = () => PALETTE[(paletteIdx++) % PALETTE.length].slice(); // Re
 // ------------------------------ Setup -----------------------------------------
 
 function setup() {
-  createCanvas(960, 540);         // 16:9 canvas to match the video
+  const cnv = createCanvas(960, 540); // 16:9 until the clip’s real size is known
   textFont('system-ui');          // UI font
+  cnv.drop(handleDroppedFile);    // Drag-and-drop a clip onto the canvas to load it
 
   // Create the hidden HTML5 <video>, load the file, and render frames via image()
-  vid = createVideo('assets-stupid-training-720p.mp4', () => console.log('video element created'));
+  vid = createVideo(DEFAULT_VIDEO, () => console.log('video element created'));
   vid.attribute('playsinline', ''); // iOS: keep inline playback
   vid.attribute('muted', '');       // Allow autoplay policies to pass
   vid.volume(0);                    // Ensure silence
   vid.hide();                       // Don’t show the DOM video; draw it to canvas instead
 
-  // Mark as ready when the browser has enough data to decode a frame
-  vid.elt.onloadeddata = () => { ready = true; };
-  vid.elt.oncanplay = () => { ready = true; }; // Some browsers use this
-
-  // Log any load errors (bad path/codec)
-  vid.elt.onerror = (e) => console.error('VIDEO ERROR', e);
-
-  // When playback reaches the end, reveal trails and show dashboard/stats
-  vid.elt.onended = () => {
-    showAllAtEnd = true;                 // End screen mode
-    showTrails = true;                   // Default to showing trails
-    computeAllRepMetrics();              // Fill in metrics for each rep
-    renderStatsTable();                  // Build the HTML stats below the canvas
-    updateDashboard();                   // Show buttons
-  };
+  wireVideoEvents(vid, 0);               // ready / frame rate / resize / end-of-clip handlers
 
   current.color = nextColour();          // Colour for the first rep
 
+  createTimeline();                      // Rep spans directly under the canvas
+  createDashboardBar();                  // End-screen buttons under the timeline
+  createVideoBar();                      // File picker + recent clips under the canvas
+  createSessionControls();               // Save / load / restore session JSON
+  createCameraPanel();                   // Second camera: view switch, roles, sync offset
+  createNetSettingsPanel();              // Net height/width presets (before calibration)
+  createCalibrationPanel();              // Adjust handles, metre grid, saved calibrations
+  createTrackPanel();                    // Semi-automatic ball tracker controls
+  createTagPanel();                      // Setter/hitter/set type/location/outcome after N
+  createFilterBar();                     // End-screen filters by tag
+  createVideoExportPanel();              // Whole clip / single rep / highlight reel WebM
+  createHistoryPanel();                  // Athlete history and progress charts
+  createZonePanel();                     // Target zone editor
+  createShortcutPanel();                 // Remappable keys and gamepad/pedal buttons
+  createComparePanel();                  // Pick two reps (today’s or a saved session’s) to overlay
+
   // --- Stats div (hidden at start) ---
   statsDiv = createDiv('');
   statsDiv.style('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
@@ -108,19 +293,23 @@ function setup() {
   btnReplay   = createButton('▶ Replay (hide trails)');
   btnToggle   = createButton('🎨 Toggle trails');
   btnSnapshot = createButton('💾 Save snapshot (PNG)');
+  btnExportCSV  = createButton('📄 Export CSV');
+  btnExportJSON = createButton('🧾 Export JSON');
+  btnExportVideo = createButton('🎬 Export video');
+  btnSaveHistory = createButton('📚 Save to history');
+  btnReport   = createButton('📝 Generate report');
+  btnCompare  = createButton('⚖ Compare reps');
+  viewSelect = createSelect();
+  for (const v of END_VIEWS) viewSelect.option(v.label, v.id);
+  viewSelect.changed(() => { endView = viewSelect.value(); });
   btnRestart  = createButton('⏮ Restart video');
   btnStats    = createButton('📊 Show/Hide Stats');
+  dashButtons = [viewSelect, btnReplay, btnToggle, btnSnapshot, btnExportCSV, btnExportJSON, btnExportVideo, btnSaveHistory, btnReport, btnCompare, btnRestart, btnStats];
 
   // Shared button styling
-  [btnReplay, btnToggle, btnSnapshot, btnRestart, btnStats].forEach((b) => {
-    b.style('padding', '10px 14px');
-    b.style('border-radius', '10px');
-    b.style('border', 'none');
-    b.style('background', '#ffffff');
-    b.style('box-shadow', '0 2px 10px rgba(0,0,0,0.15)');
-    b.style('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
-    b.style('cursor', 'pointer');
-    b.hide(); // Hidden until the end screen
+  dashButtons.forEach((b) => {
+    styleButton(b);
+    b.parent(dashBar);                   // The bar is hidden until the end screen
   });
 
   // --- Button actions ---
@@ -143,33 +332,100 @@ function setup() {
     const prev = showTrails;
     showTrails = true;                     // Ensure trails are visible in the snapshot
     redraw();
-    saveCanvas('reps_snapshot', 'png');
+    saveCanvas(endView === 'trails' ? 'reps_snapshot' : `reps_${endView}`, 'png'); // Whichever view is showing
     showTrails = prev;
   });
 
+  btnExportCSV.mousePressed(exportMetricsCSV);   // Spreadsheet-friendly per-rep rows
+  btnExportJSON.mousePressed(exportMetricsJSON); // Same rows + summary as JSON
+  btnExportVideo.mousePressed(toggleVideoExportPanel); // Annotated WebM options
+  btnSaveHistory.mousePressed(saveSessionToHistory);   // Athlete progress store
+  btnReport.mousePressed(generateReport);              // HTML file to hand to the athlete
+  btnCompare.mousePressed(() => setCompareMode(!compareOn)); // This rep vs best / last week
+
   btnRestart.mousePressed(restartVideoHidden); // Restart any time
 
   btnStats.mousePressed(() => {            // Show/Hide the stats HTML block
     statsVisible = !statsVisible;
     statsDiv.style('display', statsVisible ? 'block' : 'none');
   });
+
+  fitCanvasToViewport();                 // Scale the canvas down to small screens
+}
+
+/**
+ * Attach the load/end handlers to a camera’s <video>. cam is its index in
+ * cameras (0 for the only clip); handlers for the camera that isn’t on screen
+ * update its stored state instead of the globals.
+ */
+function wireVideoEvents(v, cam) {
+  // Mark as ready when the browser has enough data to decode a frame
+  v.elt.onloadeddata = () => { setCameraReady(cam); startFrameRateDetection(v.elt, cam); };
+  v.elt.oncanplay = () => setCameraReady(cam); // Some browsers use this
+  v.elt.onloadedmetadata = () => { if (cam === activeCam) fitCanvasToVideo(); }; // Match the clip’s aspect ratio
+
+  // Log any load errors (bad path/codec)
+  v.elt.onerror = (e) => console.error('VIDEO ERROR', e);
+
+  // When playback reaches the end, reveal trails and show dashboard/stats
+  v.elt.onended = () => {
+    if (cam !== activeCam) return;       // The follower camera running out doesn’t end the session
+    if (videoExport) {                   // Recording reached the end of the clip
+      if (!videoExport.seeking) nextExportSegment();
+      return;
+    }
+    showAllAtEnd = true;                 // End screen mode
+    showTrails = true;                   // Default to showing trails
+    computeAllRepMetrics();              // Fill in metrics for each rep
+    refreshFilterOptions();              // Filter lists from the tags actually used
+    renderTimeline();                    // Rep spans for seeking/editing
+    renderStatsTable();                  // Build the HTML stats below the canvas
+    updateDashboard();                   // Show buttons
+  };
 }
 
 // ------------------------------ Draw loop --------------------------------------
 
 function draw() {
   background(0);                         // Clear to black each frame
+  pollGamepads();                        // Gamepad / foot-pedal shortcuts
+
+  if (ready) {                           // Draw current video frame when ready (pinch zoom applies)
+    push();
+    applyViewZoom();
+    image(vid, 0, 0, width, height);
+    pop();
+  }
 
-  if (ready) image(vid, 0, 0, width, height); // Draw current video frame when ready
+  if (videoExport) {                     // Recording: clean frame + progressive overlays only
+    drawVideoExportFrame();
+    return;
+  }
+  syncFollowerCamera();                  // Keep the other camera at the linked moment
 
   if (!warmed) centerMsg('Click once to load video'); // Prompt to prime the video
 
+  netPanel.style('display', calibStep < 4 ? 'flex' : 'none'); // Net format is chosen before calibrating
+  trackPanel.style('display', calibStep === 4 && !showAllAtEnd ? 'flex' : 'none');
+  filterBar.style('display', showAllAtEnd && trails.some((r) => r.tags) ? 'flex' : 'none');
+  repEditBar.style('display', showAllAtEnd && calibStep === 4 ? 'flex' : 'none');
+  updateCalibPanel();
+  updateMotionControls();
+  updateComparePanel();
+  updatePlayhead();
+
   // ----- Calibration mode (before 4 clicks) -----
   if (calibStep < 4) {
     if (!warmed) primeVideo();           // Brief play/pause to reveal the first frame
-    drawCalibrationBanner();             // Top instruction banner
+    push();
+    applyViewZoom();
     drawCalibrationMarkers();            // Crosses where you’ve clicked
+    pop();
+    drawCalibrationBanner();             // Top instruction banner
+    drawCalibrationWarnings();           // Impossible geometry so far
+    if (warmed) { const p = viewPointer(); drawLoupe(p.x, p.y); } // Magnified frame under the pointer
     drawHUD(true);                       // Bottom status line
+    drawShortcutHelp();                  // “?” overlay
     return;                              // Don’t draw trails/UI until calibration completes
   }
 
@@ -177,19 +433,41 @@ function draw() {
   strokeWeight(4);
   noFill();
 
-  if (showAllAtEnd) {                    // End screen: optionally draw all trails
+  const chartView = showAllAtEnd && endView !== 'trails';
+  push();
+  if (!chartView) applyViewZoom();       // Charts aren’t in frame coordinates
+  if (chartView) {
+    drawEndView(endView);                // Scatter / heatmap / side profile instead of trails
+  } else if (showAllAtEnd && compareOn) {
+    drawComparison();                    // Two picked reps aligned at the set contact
+  } else if (showAllAtEnd) {             // End screen: optionally draw all trails
+    drawZones();                         // Target zones under the trails
     if (showTrails) {
-      for (const rep of trails) {
-        stroke(rep.color[0], rep.color[1], rep.color[2]);
+      for (const { rep, index } of visibleReps()) {
+        const dim = selectedRep >= 0 && index !== selectedRep;   // Fade the others while one is selected
+        stroke(rep.color[0], rep.color[1], rep.color[2], dim ? 70 : 255);
+        strokeWeight(index === selectedRep ? 6 : 4);
         drawSmoothPath(rep.points);
+        if (!dim) drawFittedCurve(rep, rep.fit);
       }
+      if (selectedRep >= 0 && trails[selectedRep]) drawPointHandles(trails[selectedRep]);
     }
   } else {                               // Recording mode: draw only the current trail
+    drawZones();
     stroke(current.color[0], current.color[1], current.color[2]);
     drawSmoothPath(current.points);
+    drawFittedCurve(current, fitTrajectory(current.points)); // Live fit while clicking
+    drawTrackProposal();                 // Tracker suggestion (if any) on top
   }
+  if (!chartView) drawCalibrationOverlay(); // Tape line, metre grid and handles (when asked for)
+  pop();
+  if (showAllAtEnd && compareOn && !chartView) drawCompareLegend();
 
+  if (calibDrag) drawLoupe(calibPts[calibDrag.key].x, calibPts[calibDrag.key].y);
+  drawCameraInset();                     // Second camera picture-in-picture (if loaded)
   drawHUD(false);                        // Status/instructions at the bottom
+  if (!chartView) drawCalibrationWarnings();
+  drawShortcutHelp();                    // “?” overlay on top of everything
   updateDashboard();                     // Keep buttons positioned/visible appropriately
 }
 
@@ -229,6 +507,7 @@ function drawCalibrationBanner() {
   if (calibStep === 1) msg = 'Calibration 2/4 — Click the TOP of the net at the LEFT antenna';
   if (calibStep === 2) msg = 'Calibration 3/4 — Click the BOTTOM of the net at the RIGHT antenna';
   if (calibStep === 3) msg = 'Calibration 4/4 — Click the TOP of the net at the RIGHT antenna';
+  if (cameras.length > 1) msg = `${cameraLabel(activeCam)} · ${msg}`; // Each view is calibrated on its own
   text(msg, 12, 28);
   pop();
 }
@@ -263,23 +542,61 @@ function drawHUD(inCalibration) {
     ? 'Calibration mode'
     : (showAllAtEnd ? 'Ended' : (paused ? 'Paused' : 'Playing'));
 
+  const view = cameras.length > 1 ? `   View: ${cameraLabel(activeCam)}` : '';
   text(
-    `Status: ${status}   Reps: ${trails.length}   Current pts: ${current.points.length}`,
+    `Status: ${status}   Reps: ${trails.length}   Current pts: ${current.points.length}${view}`,
     12, height - 12
   );
 
+  // Last undo/redo, briefly, so the user sees what changed
+  if (historyToast && millis() < historyToast.until) {
+    push();
+    textAlign(RIGHT, TOP);
+    textSize(14);
+    fill(255);
+    text(historyToast.msg, width - 12, 64);
+    pop();
+  }
+
+  // Pinch zoom level (touch screens)
+  if (viewZoom.s > 1) {
+    push();
+    textAlign(CENTER, TOP);
+    text(`🔍 ${viewZoom.s.toFixed(1)}× — pinch out to see the whole frame`, width / 2, 8);
+    pop();
+  }
+
+  // Frame counter and timecode (for finding contact moments)
+  if (vid && vid.elt && ready) {
+    text(`Frame ${currentFrame()}   ${timecode(vid.time())}   ${fpsLabel()}   ${vid.speed()}x`, 12, height - 28);
+  }
+
+  // Calibration error estimate, coloured so an unreliable calibration stands out
+  if (!inCalibration && calibError) {
+    push();
+    const clr = { good: [80, 220, 160], fair: [255, 220, 0], poor: [255, 80, 80] }[calibError.quality];
+    fill(clr[0], clr[1], clr[2]);
+    textAlign(RIGHT, BASELINE);
+    const warn = calibError.quality === 'poor' ? ` — recalibrate (${shortcutKey('reset')})` : '';
+    text(`Calibration ±${calibError.cm.toFixed(0)} cm (${calibError.quality})${warn}`, width - 12, height - 12);
+    pop();
+  }
+
   // Pre-start instructions (after calibration, before first click to play)
   if (!started && !inCalibration) {
+    const k = shortcutKey;                   // Current (possibly remapped) bindings
     centerMsg(
       'Click once to start video\n' +
-      'Click to add points • N = end rep • Z = undo\n' +
-      'Space = play/pause • ,/. = step • R = reset • Enter = replay & hide • S = restart'
+      `Click to add points • ${k('endRep')} = end rep • ${k('removePoint')} = remove point\n` +
+      `${k('playPause')} = play/pause • ${k('stepBack')}/${k('stepForward')} = step • ${k('reset')} = reset • ` +
+      `${k('replay')} = replay & hide • ${k('restart')} = restart\n` +
+      `${k('help')} = all shortcuts`
     );
   }
 
   // Helpful tip while paused during recording
   if (!showAllAtEnd && started && !inCalibration && vid.elt.paused) {
-    text('Tip: press N to end a rep (it hides until the end).', 12, 40);
+    text(`Tip: press ${shortcutKey('endRep')} to end a rep (it hides until the end).`, 12, 40);
   }
 }
 
@@ -295,21 +612,46 @@ function centerMsg(msg) {
 
 // ------------------------------ Mouse interaction ------------------------------
 
-function mousePressed() {
+function mousePressed(event) {
+  if (!pointerOnCanvas(event)) return;   // Clicks on the DOM controls aren’t annotations
+  canvasPress(mouseX, mouseY);
+}
+
+/**
+ * A click or tap at (sx, sy) in canvas px (what p5 reports as mouseX/mouseY,
+ * i.e. before pinch zoom). Annotation coordinates are frame coordinates.
+ */
+function canvasPress(sx, sy) {
+  if (videoExport) return;               // Recording in progress
+  if (tagRepIdx >= 0) return;            // Tag panel is open
   if (!warmed) { primeVideo(); return; } // First click may be used to prime the video
+  const { x, y } = viewToFrame(sx, sy);
 
   // Handle the four calibration clicks in order
   if (calibStep < 4) {
-    const pt = { x: mouseX, y: mouseY };      // Canvas coordinates of the click
+    const pt = { x, y };                      // Frame coordinates of the click
+    recordHistory(`Calibration click ${calibStep + 1}`);
     if (calibStep === 0) calibPts.LB = pt;    // Left bottom
     else if (calibStep === 1) calibPts.LT = pt; // Left top
     else if (calibStep === 2) calibPts.RB = pt; // Right bottom
     else if (calibStep === 3) calibPts.RT = pt; // Right top
     calibStep++;                               // Advance to the next step
+    if (calibStep === 4) calibFrame = grabVideoFrame(vid.elt); // Background for the athlete report
     if (calibStep === 4) finalizeCalibration();// Build conversion line/scale
+    if (calibStep === 4 && VVMetrics.validateCalibration(calibPts).length) setCalibAdjust(true); // Fix it right away
     return;                                    // Don’t record rep points yet
   }
 
+  if (calibAdjust) {                           // Adjusting the net: presses grab calibration handles
+    startCalibDrag(x, y);
+    return;
+  }
+
+  if (insetHit(sx, sy)) {                      // Picture-in-picture (drawn unzoomed): bring that camera on screen
+    switchCamera(1 - activeCam);
+    return;
+  }
+
   // First click after calibration starts playback
   if (!started) {
     const p = vid.play(); if (p && p.catch) p.catch(() => {});
@@ -317,34 +659,120 @@ function mousePressed() {
     return;
   }
 
-  if (showAllAtEnd) return;                    // Ignore clicks after the video ended
+  if (showAllAtEnd && compareOn) return;       // Comparing: the other reps are hidden, nothing to grab
+  if (showAllAtEnd) {                          // End screen: grab a point to fix a misclick
+    startPointDrag(x, y);
+    return;
+  }
+
+  if (tracking) return;                        // Tracker owns the video while it runs
+  if (trackArmed || trackProposal) {           // Start tracking / correct the proposal here
+    trackFromClick(x, y);
+    return;
+  }
+
+  addPointAt(x, y);
+}
+
+/** Add a new point to the current rep (with video timestamp). */
+function addPointAt(x, y) {
+  recordHistory('Add point');
+  current.points.push({ x, y, t: vid.time() });
+}
+
+/** True while focus is in a text box or select, so typed letters aren’t shortcuts. */
+function typingInField() {
+  const el = document.activeElement;
+  return !!el && /^(INPUT|SELECT|TEXTAREA)$/.test(el.tagName) && el.type !== 'file';
+}
 
-  // Add a new point to the current rep (with video timestamp)
-  current.points.push({ x: mouseX, y: mouseY, t: vid.time() });
+/** True if the press hit the canvas itself (p5 also reports presses on DOM controls). */
+function pointerOnCanvas(event) {
+  if (event && event.target && event.target.tagName !== 'CANVAS') return false;
+  return mouseX >= 0 && mouseY >= 0 && mouseX <= width && mouseY <= height;
 }
 
 // ------------------------------ Keyboard interaction ---------------------------
 
 function keyPressed() {
+  if (bindingCapture && bindingCapture.kind === 'key') { // Remapping: the next key becomes the binding
+    if (MODIFIER_KEYS.includes(key)) return false;       // Wait for the real key (Shift+/ binds “?”)
+    if (keyCode !== ESCAPE) setBinding('key', bindingCapture.action, normalizeKey(key));
+    else { bindingCapture = null; renderShortcutRows(); }
+    return false;
+  }
+  if (typingInField()) return;                 // Let text boxes/selects have their keys
+
+  if (keyIsDown(CONTROL) || keyIsDown(91) || keyIsDown(93)) { // Ctrl / ⌘ (left/right)
+    if (tracking) return false;
+    if (key === 'z' || key === 'Z') {          // Ctrl+Z undo, Ctrl+Shift+Z redo
+      if (keyIsDown(SHIFT)) redo(); else undo();
+    } else if (key === 'y' || key === 'Y') {   // Ctrl+Y redo (Windows habit)
+      redo();
+    }
+    return false;                              // Keep the browser’s own undo out of it
+  }
+
+  if (tracking) {                              // While tracking only Esc (stop) is live
+    if (keyCode === ESCAPE) tracking = false;
+    return;
+  }
+  if (videoExport) {                           // While recording only Esc (cancel) is live
+    if (keyCode === ESCAPE) cancelVideoExport();
+    return;
+  }
+  if (keyCode === ESCAPE && showShortcutHelp) { showShortcutHelp = false; return; }
+
+  const action = actionForKey(key);            // Remappable bindings (see SHORTCUT_ACTIONS)
+  if (action) triggerShortcut(action);
+}
+
+/** Run a shortcut action from the keyboard or a gamepad/foot pedal. */
+function triggerShortcut(action) {
+  if (action === 'help') {                     // ?: list the current bindings
+    showShortcutHelp = !showShortcutHelp;
+    return;
+  }
+  if (action === 'switchCamera') {             // V: switch camera (also while calibrating)
+    if (cameras.length > 1) switchCamera(1 - activeCam);
+    return;
+  }
   if (calibStep < 4) return;                   // Disable shortcuts during calibration
+  if (tracking || videoExport || tagRepIdx >= 0) return; // Pads can fire while these own the input
 
-  if (key === ' ') {                           // Space: toggle play/pause
+  if (action === 'playPause') {                // Space: toggle play/pause
     if (vid.elt.paused) vid.play(); else vid.pause();
 
-  } else if (key === 'N' || key === 'n') {     // N: finish current rep and start a new colour
-    if (current.points.length) trails.push(current);
+  } else if (action === 'addPoint') {          // Pedal/pad: click without clicking
+    if (!showAllAtEnd && started && !calibAdjust && mouseX >= 0 && mouseY >= 0 && mouseX <= width && mouseY <= height) {
+      const p = viewPointer();
+      addPointAt(p.x, p.y);
+    }
+
+  } else if (action === 'endRep') {            // N: finish current rep and start a new colour
+    if (current.points.length) {
+      recordHistory('End rep');
+      trails.push(current);
+      renderTimeline();
+      openTagPanel(trails.length - 1);         // Label the rep we just finished
+    }
     current = { points: [], color: nextColour() };
+    autosaveSession();
+
+  } else if (action === 'removePoint') {       // Z: undo last clicked point
+    if (current.points.length) { recordHistory('Remove point'); current.points.pop(); }
+    autosaveSession();
 
-  } else if (key === 'Z' || key === 'z') {     // Z: undo last clicked point
-    if (current.points.length) current.points.pop();
+  } else if (action === 'stepBack') {          // , : step back exactly one frame
+    if (!showAllAtEnd) stepFrames(-1);
 
-  } else if (key === ',') {                    // , : step backward ≈ 1 frame (1/30 s)
-    if (!showAllAtEnd) { vid.pause(); vid.time(Math.max(0, vid.time() - 1 / 30)); }
+  } else if (action === 'stepForward') {       // . : step forward exactly one frame
+    if (!showAllAtEnd) stepFrames(1);
 
-  } else if (key === '.') {                    // . : step forward ≈ 1 frame
-    if (!showAllAtEnd) { vid.pause(); vid.time(Math.min(vid.duration(), vid.time() + 1 / 30)); }
+  } else if (action === 'prevSet' || action === 'nextSet') { // [ / ]: candidate set contacts
+    if (!showAllAtEnd) jumpToCandidateSet(action === 'nextSet' ? 1 : -1);
 
-  } else if (keyCode === ENTER) {              // Enter: replay from 0 and hide trails
+  } else if (action === 'replay') {            // Enter: replay from 0 and hide trails
     showAllAtEnd = false;
     showTrails = false;
     statsDiv.style('display', 'none');
@@ -352,100 +780,159 @@ function keyPressed() {
     vid.time(0); vid.play();
     updateDashboard();
 
-  } else if (key === 'S' || key === 's') {     // S: restart video immediately
+  } else if (action === 'adjustCalib') {       // C: show/hide the draggable calibration handles
+    setCalibAdjust(!calibAdjust);
+
+  } else if (action === 'track') {             // T: arm the ball tracker for the next click
+    if (!showAllAtEnd) armTracking();
+
+  } else if (action === 'restart') {           // S: restart video immediately
     restartVideoHidden();
 
-  } else if (key === 'R' || key === 'r') {     // R: full reset (wipe reps + calibration)
-    trails = [];
-    current = { points: [], color: nextColour() };
-    showAllAtEnd = false; started = false; ready = false;
-    calibStep = 0; calibPts = { LB: null, LT: null, RB: null, RT: null };
-    pixelsPerMeter = null; topLine = null; warmed = false;
-    statsDiv.style('display', 'none'); statsDiv.html('');
+  } else if (action === 'reset') {             // R: full reset (wipe reps + calibration)
+    if (!confirm(`Reset wipes ${trails.length} rep(s) and the calibration.\nYou can still undo it with Ctrl+Z. Reset?`)) return;
+    recordHistory('Reset');
+    resetSession();
     vid.time(0); vid.pause(); ready = true;
-    updateDashboard();
   }
 }
 
 // ------------------------------ Calibration math -------------------------------
 
-/** Build px→m scale and top-of-net line from the four clicks. */
+/** Build px→m scale, top-of-net line, homography and error estimate from the four clicks. */
 function finalizeCalibration() {
-  const hLeft  = Math.abs(calibPts.LT.y - calibPts.LB.y); // Pixel height at left antenna
-  const hRight = Math.abs(calibPts.RT.y - calibPts.RB.y); // Pixel height at right antenna
-  const hAvgPx = (hLeft + hRight) / 2;                    // Average to reduce perspective error
-  pixelsPerMeter = hAvgPx / NET_HEIGHT_M;                 // Convert px to metres
+  const c = VVMetrics.calibrate(calibPts, currentNetInfo());
+  pixelsPerMeter = c ? c.pixelsPerMeter : null;
+  topLine = c ? c.topLine : null;                  // null for a vertical tape line (LT.x === RT.x)
+  homography = c ? c.homography : null;
+  homographyInv = c ? c.homographyInv : null;
+  calibError = c ? c.error : null;
+
+  console.log('Calibration complete:', { pixelsPerMeter, topLine, homography, calibError });
+}
+
+/** The on-screen camera’s calibration in the shape metrics.js expects. */
+function currentCalibration() {
+  return { pixelsPerMeter, topLine, homography, homographyInv, error: calibError };
+}
 
-  // Top tape line through LT and RT: y = m*x + b
-  const m = (calibPts.RT.y - calibPts.LT.y) / (calibPts.RT.x - calibPts.LT.x);
-  const b = calibPts.LT.y - m * calibPts.LT.x;
-  topLine = { m, b };
+/** Screen pixel → net-plane metres ({ x: along the net, y: above floor }), or null. */
+function toNetPlane(x, y) {
+  return homography ? applyHomography(homography, x, y) : null;
+}
 
-  console.log('Calibration complete:', { hLeft, hRight, hAvgPx, pixelsPerMeter, topLine });
+/** Net-plane metres → screen pixel, or null. */
+function fromNetPlane(X, Y) {
+  return homographyInv ? applyHomography(homographyInv, X, Y) : null;
 }
 
 /** Metres the point is ABOVE (+) or BELOW (–) the net tape at the same x. */
 function metersAboveNetAtPoint(x, y) {
-  if (!pixelsPerMeter || !topLine) return null;
-  const yTop = topLine.m * x + topLine.b; // Pixel y of the tape at this x
-  const dyPx = (yTop - y);                // Positive if point is above (screen y grows downward)
-  return dyPx / pixelsPerMeter;           // Convert pixel delta to metres
+  return VVMetrics.metersAboveNet(currentCalibration(), currentNetInfo(), x, y);
 }
 
-/** Approx horizontal distance (metres) from p1 to p2 in screen space. */
+/** Horizontal distance (metres) along the net plane from p1 to p2. */
 function metersHorizDistance(p1, p2) {
-  if (!pixelsPerMeter) return null;
-  const dxPx = Math.abs(p2.x - p1.x);
-  return dxPx / pixelsPerMeter;
+  return VVMetrics.metersHorizDistance(currentCalibration(), p1, p2);
 }
 
 // ------------------------------ Metrics per rep --------------------------------
 
-/** Fill in peak height, above-net cm, width, and direction for each rep. */
+/**
+ * Fill in peak height, above-net cm, width, and direction for each rep. With a
+ * second camera, height and width then come from whichever view measures them best.
+ */
 function computeAllRepMetrics() {
-  for (const rep of trails) {
-    if (!rep.points || rep.points.length < 2) {     // Need at least two points
-      rep.peakM = null; rep.aboveNetCM = null; rep.widthM = null; rep.direction = null;
-      continue;
-    }
+  for (const rep of trails) computeRepMetrics(rep);
+  if (cameras.length > 1) combineCameraMetrics();
+}
 
-    // ---- Peak height above the net (metres) ----
-    let peakAboveM = -Infinity;                      // Track max “above net” value
-    for (const p of rep.points) {
-      const a = metersAboveNetAtPoint(p.x, p.y);     // metres above (+) / below (–) at this click
-      if (a != null && a > peakAboveM) peakAboveM = a;
-    }
-    if (!isFinite(peakAboveM)) {
-      rep.peakM = null;                              // Couldn’t compute
-      rep.aboveNetCM = null;
-    } else {
-      rep.peakM = NET_HEIGHT_M + peakAboveM;         // Absolute peak height from floor
-      rep.aboveNetCM = Math.round(peakAboveM * 100); // Centimetres above the tape
-    }
+/** Metrics for one rep from the on-screen camera’s points and calibration. */
+function computeRepMetrics(rep) {
+  rep.sources = null;                              // Camera per axis, set by combineCameraMetrics
+  // Peak/above-net/width/direction, projectile fit and target-zone score (all null below two points)
+  Object.assign(rep, VVMetrics.analyseRep(rep.points, rep.tags, currentCalibration(), currentNetInfo(), zones));
+}
+
+// ------------------------------ Trajectory fit ---------------------------------
+
+/**
+ * Projectile fit of the clicks in net-plane metres (see VVMetrics.fitTrajectory):
+ * true apex, hang time, release angle/speed and a quality flag, or null.
+ */
+function fitTrajectory(points) {
+  return VVMetrics.fitTrajectory(points, currentCalibration());
+}
 
-    // ---- Horizontal width (metres) from first → last point ----
-    const start = rep.points[0];
-    const end   = rep.points[rep.points.length - 1];
-    const wM = metersHorizDistance(start, end);
-    rep.widthM = (wM != null) ? wM : null;
+/** Draw the fitted projectile (dashed) across the clicked span, plus rings on outlier clicks. */
+function drawFittedCurve(rep, fit) {
+  if (!fit) return;
+  push();
+  noFill();
+  stroke(rep.color[0], rep.color[1], rep.color[2], 170);
+  strokeWeight(2);
+  drawingContext.setLineDash([6, 6]);
+  beginShape();
+  const steps = 40;
+  for (let i = 0; i <= steps; i++) {
+    const tau = fit.hangTimeS * i / steps;
+    const px = fromNetPlane(fit.x0 + fit.vx * tau, fit.y0 + fit.vy * tau - 0.5 * GRAVITY * tau * tau);
+    if (px) vertex(px.x, px.y);
+  }
+  endShape();
+  drawingContext.setLineDash([]);
 
-    // Directional arrow for readability
-    rep.direction = (end.x > start.x) ? '→' : (end.x < start.x ? '←' : '•');
+  // Apex marker
+  if (fit.timeToApexS > 0 && fit.timeToApexS < fit.hangTimeS) {
+    const tau = fit.timeToApexS;
+    const a = fromNetPlane(fit.x0 + fit.vx * tau, fit.apexM);
+    if (a) { stroke(255); fill(rep.color[0], rep.color[1], rep.color[2]); circle(a.x, a.y, 9); }
   }
+
+  // Outlier clicks
+  noFill(); stroke(255, 60, 60); strokeWeight(2);
+  for (const o of fit.outliers) circle(o.x, o.y, 20);
+  pop();
 }
 
 // ------------------------------ Stats table (HTML) -----------------------------
 
-/** Build a neat HTML table summarising each rep and overall best/averages. */
+/** Fit-quality badge shown in the table (hover for the reasons). */
+const FIT_BADGES = { good: '✅ good', check: '⚠️ check', bad: '❌ bad' };
+
+/** Escape text for safe inclusion in the HTML strings below. */
+function escapeHTML(str) {
+  return String(str).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/** Render today’s reps (after tag filters) into the stats div below the canvas. */
 function renderStatsTable() {
+  const entries = visibleReps();
+  const filt = filterSummary();
+  const note = filt ? `Filtered: ${filt} — ${entries.length} of ${trails.length} reps` : '';
+  statsDiv.html(statsTableHTML(entries, currentNetInfo(), note)); // Inject HTML into the div
+  statsDiv.style('display', 'block'); // Make it visible
+  statsVisible = true;              // Track visibility state
+}
+
+/** Net description for table headers: { label, heightM, widthM }. */
+function currentNetInfo() {
+  return { label: netPresetLabel(), heightM: netHeightM, widthM: netWidthM };
+}
+
+/**
+ * Build a neat HTML table summarising each rep and overall best/averages.
+ * entries = [{ rep, index }] (rep numbers come from index), so the same table
+ * serves today’s session and sessions loaded from the history store.
+ */
+function statsTableHTML(entries, net, note) {
   const rows = [];                      // Rows to render
   let bestIdx = -1, bestVal = -Infinity;// Track highest absolute peak
   let sumPeak = 0, nPeak = 0;           // For average peak
   let sumWidth = 0, nWidth = 0;         // For average width
 
   // Assemble row data and summary accumulators
-  for (let i = 0; i < trails.length; i++) {
-    const r = trails[i];
+  for (const { rep: r, index: i } of entries) {
 
     if (r.peakM != null) {
       if (r.peakM > bestVal) { bestVal = r.peakM; bestIdx = i; }
@@ -461,6 +948,10 @@ function renderStatsTable() {
       aboveCM: r.aboveNetCM,
       widthM: r.widthM,
       direction: r.direction || '',
+      fit: r.fit || null,
+      tags: r.tags || {},
+      zone: r.zone || null,
+      sources: r.sources || null,
       color: r.color
     });
   }
@@ -472,7 +963,8 @@ function renderStatsTable() {
   // Build HTML string for the table (kept inline for portability)
   let html = `
     <div style="font-size:14px; line-height:1.4">
-      <div style="margin-bottom:8px; font-weight:600">SET STATS (Net = ${NET_HEIGHT_M.toFixed(2)} m)</div>
+      <div style="margin-bottom:8px; font-weight:600">SET STATS (${escapeHTML(net.label)}: net = ${net.heightM.toFixed(2)} m, antennae ${net.widthM.toFixed(2)} m apart)</div>
+      ${note ? `<div style="margin-bottom:8px; color:#aaa">${escapeHTML(note)}</div>` : ''}
       <table style="width:100%; border-collapse:collapse; overflow:hidden; border-radius:10px">
         <thead>
           <tr style="background:#222; color:#ddd">
@@ -480,6 +972,12 @@ function renderStatsTable() {
             <th style="text-align:left; padding:8px 10px">Peak height (m)</th>
             <th style="text-align:left; padding:8px 10px">Above net (cm)</th>
             <th style="text-align:left; padding:8px 10px">Width (m)</th>
+            <th style="text-align:left; padding:8px 10px">Fit apex (m)</th>
+            <th style="text-align:left; padding:8px 10px">Hang / to apex (s)</th>
+            <th style="text-align:left; padding:8px 10px">Release</th>
+            <th style="text-align:left; padding:8px 10px">Fit</th>
+            <th style="text-align:left; padding:8px 10px">Target zone</th>
+            ${TAG_FIELDS.map((f) => `<th style="text-align:left; padding:8px 10px">${f.label}</th>`).join('')}
           </tr>
         </thead>
         <tbody>
@@ -488,9 +986,18 @@ function renderStatsTable() {
   // Render each row with colour dot + metrics
   rows.forEach((row) => {
     const clr = `rgb(${row.color[0]},${row.color[1]},${row.color[2]})`;
-    const peakTxt  = row.peakM  != null ? row.peakM.toFixed(2)  : '—';
+    const src = (axis) => (row.sources && row.sources[axis]   // Which camera measured it (multi-camera)
+      ? ` <sup style="color:#888" title="Measured by Cam ${row.sources[axis]}">${row.sources[axis]}</sup>` : '');
+    const peakTxt  = row.peakM  != null ? row.peakM.toFixed(2) + src('height') : '—';
     const aboveTxt = row.aboveCM != null ? `${row.aboveCM}`      : '—';
-    const widthTxt = row.widthM != null ? `${row.direction} ${row.widthM.toFixed(2)}` : '—';
+    const widthTxt = row.widthM != null ? `${row.direction} ${row.widthM.toFixed(2)}${src('width')}` : '—';
+    const f = row.fit;
+    const apexTxt  = f ? f.apexM.toFixed(2) : '—';
+    const hangTxt  = f ? `${f.hangTimeS.toFixed(2)} / ${f.timeToApexS.toFixed(2)}` : '—';
+    const relTxt   = f ? `${f.releaseDeg.toFixed(0)}° @ ${f.v0.toFixed(1)} m/s` : '—';
+    const z = row.zone;
+    const zoneTxt  = z ? `${z.hit ? '✔' : '✖'} ${escapeHTML(z.zoneName)} (${z.distCM.toFixed(0)} cm)` : '—';
+    const fitTxt   = f ? `<span title="${escapeHTML(f.flags.join('; ') || 'Clicks follow a projectile')}">${FIT_BADGES[f.quality]}</span>` : '—';
 
     html += `
       <tr style="background:#181818; border-top:1px solid #2a2a2a">
@@ -501,6 +1008,12 @@ function renderStatsTable() {
         <td style="padding:8px 10px">${peakTxt}</td>
         <td style="padding:8px 10px">${aboveTxt}</td>
         <td style="padding:8px 10px">${widthTxt}</td>
+        <td style="padding:8px 10px">${apexTxt}</td>
+        <td style="padding:8px 10px">${hangTxt}</td>
+        <td style="padding:8px 10px">${relTxt}</td>
+        <td style="padding:8px 10px">${fitTxt}</td>
+        <td style="padding:8px 10px">${zoneTxt}</td>
+        ${TAG_FIELDS.map((f) => `<td style="padding:8px 10px">${row.tags[f.key] ? escapeHTML(row.tags[f.key]) : '—'}</td>`).join('')}
       </tr>
     `;
   });
@@ -520,37 +1033,80 @@ function renderStatsTable() {
   if (avgWidth != null) {
     html += `<div><b>Average Width:</b> ${avgWidth.toFixed(2)} m</div>`;
   }
+  const zs = zoneSessionScore(entries.map((e) => e.rep));
+  if (zs) {
+    html += `<div>🎯 <b>Zone accuracy:</b> ${zs.hits}/${zs.n} hits (${zs.hitRatePct.toFixed(0)}%) · ` +
+      `avg ${zs.avgDistCM.toFixed(0)} cm from centre · spread ${zs.spreadCM.toFixed(0)} cm · ` +
+      `<b>consistency ${zs.score.toFixed(0)}/100</b></div>`;
+  }
 
   html += `</div>`;                 // Close wrapper
+  return html;
+}
 
-  statsDiv.html(html);              // Inject HTML into the div
-  statsDiv.style('display', 'block'); // Make it visible
-  statsVisible = true;              // Track visibility state
+// ------------------------------ Metric export (CSV / JSON) --------------------
+
+/** One flat row per rep, shared by the CSV and JSON exports. */
+function repMetricRows() {
+  return trails.map((r, i) => VVMetrics.repRow(r, i, TAG_FIELDS.map((f) => f.key)));
+}
+
+/** Base name for metric downloads, e.g. “practice-clip_metrics”. */
+function metricsFileName() {
+  return `${videoName.replace(/\.[^.]+$/, '')}_metrics`;
+}
+
+/** Download per-rep rows plus a summary block as CSV. */
+function exportMetricsCSV() {
+  computeAllRepMetrics();
+  const cols = [...VVMetrics.METRIC_COLUMNS, ...TAG_FIELDS.map((f) => f.key)];
+  saveStrings(VVMetrics.metricsCSV(repMetricRows(), cols), metricsFileName(), 'csv');
+}
+
+/** Download the same rows and summary as JSON. */
+function exportMetricsJSON() {
+  computeAllRepMetrics();
+  const rows = repMetricRows();
+  saveJSON({
+    video: videoName,
+    netPreset: netPresetId,
+    netHeightM,
+    netWidthM,
+    exportedAt: new Date().toISOString(),
+    reps: rows,
+    summary: metricsSummary(rows),
+  }, `${metricsFileName()}.json`, false);
 }
 
 // ------------------------------ Dashboard layout -------------------------------
 
 /** Position buttons along the bottom when we’re on the end screen. */
 function updateDashboard() {
-  if (showAllAtEnd && calibStep >= 4) {
-    const pad = 12, gap = 10, btnW = 190, btnH = 40; // Layout constants
-
-    // Position each button left→right along the bottom
-    btnReplay.position(  pad,                       height - btnH - pad );
-    btnToggle.position(  pad + btnW + gap,         height - btnH - pad );
-    btnSnapshot.position(pad + (btnW + gap) * 2,   height - btnH - pad );
-    btnRestart.position( pad + (btnW + gap) * 3,   height - btnH - pad );
-    btnStats.position(   pad + (btnW + gap) * 4,   height - btnH - pad );
+  const show = showAllAtEnd && calibStep >= 4;
+  dashBar.style('display', show ? 'flex' : 'none'); // Only on the end screen
+  if (show) btnToggle.html(showTrails ? '🎨 Hide trails' : '🎨 Show trails');
+}
 
-    // Ensure they’re visible
-    btnReplay.show(); btnToggle.show(); btnSnapshot.show(); btnRestart.show(); btnStats.show();
+/** Flex row for the end-screen buttons; it wraps instead of running off narrow screens. */
+function createDashboardBar() {
+  dashBar = createDiv('');
+  dashBar.style('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
+  dashBar.style('margin', '8px 0 0 0');
+  dashBar.style('display', 'none');
+  dashBar.style('flex-wrap', 'wrap');
+  dashBar.style('gap', '10px');
+  dashBar.style('align-items', 'center');
+}
 
-    // Update the toggle button label
-    btnToggle.html(showTrails ? '🎨 Hide trails' : '🎨 Show trails');
-  } else {
-    // Hide all when not on the end screen
-    [btnReplay, btnToggle, btnSnapshot, btnRestart, btnStats].forEach(b => b.hide());
-  }
+/** Shared look for every DOM button (dashboard, video bar, panels). */
+function styleButton(b) {
+  b.style('padding', '10px 14px');
+  b.style('border-radius', '10px');
+  b.style('border', 'none');
+  b.style('background', '#ffffff');
+  b.style('box-shadow', '0 2px 10px rgba(0,0,0,0.15)');
+  b.style('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
+  b.style('cursor', 'pointer');
 }
 
 // ------------------------------ Drawing helpers --------------------------------
@@ -577,7 +1133,3841 @@ function restartVideoHidden() {
   updateDashboard();                    // Hide buttons again
 }
 
+/** Forget the net clicks and everything derived from them (back to calibration step 1). */
+function clearCalibration() {
+  calibStep = 0; calibPts = { LB: null, LT: null, RB: null, RT: null };
+  pixelsPerMeter = null; topLine = null;
+  homography = null; homographyInv = null; calibError = null;
+}
+
+/** Wipe reps, calibration and end-screen state (used by “R” and when a new clip loads). */
+function resetSession() {
+  trails = [];
+  selectedRep = -1;
+  current = { points: [], color: nextColour() };
+  showAllAtEnd = false; started = false; ready = false; warmed = false;
+  clearCalibration();
+  if (cameras.length > 1) withCamera(1 - activeCam, clearCalibration); // Both views recalibrate
+  statsDiv.style('display', 'none'); statsDiv.html('');
+  updateDashboard();
+}
+
+// ------------------------------ Video loading ----------------------------------
+
+/** Build the bar under the canvas: “Open video…” picker and a recent-clips list. */
+function createVideoBar() {
+  videoBar = createDiv('');
+  videoBar.style('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
+  videoBar.style('margin', '8px 0 0 0');
+  videoBar.style('display', 'flex');
+  videoBar.style('gap', '10px');
+  videoBar.style('align-items', 'center');
+
+  const label = createElement('label', '📂 Open video… ');
+  label.parent(videoBar);
+  const input = createFileInput(handleVideoFile); // p5 wraps <input type="file">
+  input.attribute('accept', 'video/mp4,video/webm,video/quicktime,.mp4,.webm,.mov');
+  input.parent(label);
+
+  recentSelect = createSelect();
+  recentSelect.parent(videoBar);
+  recentSelect.changed(() => {                      // Switch back to an earlier clip
+    const clip = recentClips.find((c) => c.url === recentSelect.value());
+    if (clip) loadVideoSource(clip.url, clip.name);
+  });
+  refreshRecentClips();
+
+  createSpan('…or drop a clip (MP4/WebM/MOV) onto the video').parent(videoBar);
+
+  const fpsLabelEl = createElement('label', 'FPS ');
+  fpsLabelEl.parent(videoBar);
+  fpsInput = createInput('', 'number');
+  fpsInput.parent(fpsLabelEl);
+  fpsInput.attribute('min', '1');
+  fpsInput.attribute('step', '0.01');
+  fpsInput.attribute('title', 'Leave empty to use the detected frame rate');
+  fpsInput.style('width', '70px');
+  fpsInput.input(() => setFpsOverride(parseFloat(fpsInput.value())));
+
+  const speedLabel = createElement('label', 'Speed ');
+  speedLabel.parent(videoBar);
+  speedSelect = createSelect();
+  speedSelect.parent(speedLabel);
+  for (const sp of PLAYBACK_SPEEDS) speedSelect.option(`${sp}x`, String(sp));
+  speedSelect.selected('1');
+  speedSelect.changed(() => vid.speed(Number(speedSelect.value())));
+
+  createMotionControls();                           // 🔎 Find sets + previous/next candidate
+}
+
+// ------------------------------ Net settings -----------------------------------
+
+/** Preset picker (+ custom height/width) shown under the canvas until calibration completes. */
+function createNetSettingsPanel() {
+  netPanel = createDiv('');
+  netPanel.style('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
+  netPanel.style('margin', '8px 0 0 0');
+  netPanel.style('padding', '10px 12px');
+  netPanel.style('border-radius', '10px');
+  netPanel.style('background', '#f1f1f1');
+  netPanel.style('gap', '10px');
+  netPanel.style('align-items', 'center');
+
+  createSpan('<b>Net format</b> (choose before calibrating):').parent(netPanel);
+  netPresetSelect = createSelect();
+  netPresetSelect.parent(netPanel);
+  for (const p of NET_PRESETS) netPresetSelect.option(p.label, p.id);
+  netPresetSelect.changed(() => {
+    const p = NET_PRESETS.find((x) => x.id === netPresetSelect.value());
+    if (p.id === 'custom') setNetDimensions('custom', netHeightM, netWidthM); // Start from current values
+    else setNetDimensions(p.id, p.heightM, p.widthM);
+  });
+
+  createSpan('Height (m)').parent(netPanel);
+  netHeightInput = createInput('', 'number');
+  netHeightInput.parent(netPanel);
+  createSpan('Antenna spacing (m)').parent(netPanel);
+  netWidthInput = createInput('', 'number');
+  netWidthInput.parent(netPanel);
+  [netHeightInput, netWidthInput].forEach((inp) => {
+    inp.attribute('step', '0.01');
+    inp.attribute('min', '0.5');
+    inp.style('width', '70px');
+    inp.input(() => {                                // Typing a value switches to the custom preset
+      const h = parseFloat(netHeightInput.value()), w = parseFloat(netWidthInput.value());
+      if (h > 0 && w > 0) setNetDimensions('custom', h, w);
+    });
+  });
+
+  const preset = NET_PRESETS.find((p) => p.id === DEFAULT_NET_PRESET);
+  setNetDimensions(preset.id, preset.heightM, preset.widthM);
+}
+
+/**
+ * Set the active net height/width. presetId may be null for values loaded from
+ * a file; it is then matched to a preset, or treated as custom.
+ * An existing calibration and the rep metrics are recomputed with the new size.
+ */
+function setNetDimensions(presetId, heightM, widthM) {
+  if (!presetId) {
+    const match = NET_PRESETS.find((p) => p.heightM === heightM && p.widthM === widthM);
+    presetId = match ? match.id : 'custom';
+  }
+  netPresetId = presetId;
+  netHeightM = heightM;
+  netWidthM = widthM;
+
+  if (netPresetSelect) {
+    netPresetSelect.selected(presetId);
+    if (document.activeElement !== netHeightInput.elt) netHeightInput.value(heightM.toFixed(2));
+    if (document.activeElement !== netWidthInput.elt) netWidthInput.value(widthM.toFixed(2));
+  }
+  if (cameras.length > 1) {                        // Both views are calibrated against the same net
+    withCamera(1 - activeCam, () => { if (calibStep === 4) finalizeCalibration(); });
+  }
+  if (calibStep === 4) { finalizeCalibration(); computeAllRepMetrics(); }
+}
+
+/** Short human label for a net format (default: the active one), e.g. “Women’s indoor”. */
+function netPresetLabel(id = netPresetId) {
+  const p = NET_PRESETS.find((x) => x.id === id);
+  return p && p.id !== 'custom' ? p.label.replace(/\s*\(.*\)$/, '') : 'Custom net';
+}
+
+/** True if a File looks like a clip the browser can play (by MIME type or extension). */
+function isVideoFile(file) {
+  return /^video\//.test(file.type) || /\.(mp4|webm|mov)$/i.test(file.name);
+}
+
+/** p5 callback for the file picker. */
+function handleVideoFile(f) {
+  if (!f || !f.file) return;
+  if (!isVideoFile(f.file)) {
+    console.warn('Not a video file:', f.name);
+    alert(`“${f.name}” is not a video file (MP4, WebM or MOV).`);
+    return;
+  }
+  addRecentClip(f.file);
+}
+
+/** p5 callback for files dropped onto the canvas. */
+function handleDroppedFile(f) {
+  handleVideoFile(f);
+}
+
+/** Remember a local File as an object URL and load it. */
+function addRecentClip(file) {
+  const url = URL.createObjectURL(file);
+  recentClips.unshift({ name: file.name, url });
+  while (recentClips.length > MAX_RECENT_CLIPS) URL.revokeObjectURL(recentClips.pop().url);
+  refreshRecentClips();
+  loadVideoSource(url, file.name);
+}
+
+/** Rebuild the options of the recent-clips <select>. */
+function refreshRecentClips() {
+  recentSelect.html('');
+  if (!recentClips.length) {
+    recentSelect.option('Recent clips (none yet)', '');
+    recentSelect.attribute('disabled', '');
+    return;
+  }
+  recentSelect.removeAttribute('disabled');
+  for (const c of recentClips) recentSelect.option(c.name, c.url);
+  const active = recentClips.find((c) => c.name === videoName);
+  if (active) recentSelect.selected(active.url);
+}
+
+/** Swap the clip inside vid and start a fresh calibration + annotation session. */
+function loadVideoSource(url, name) {
+  if (tracking || videoExport) {         // Both own the video element until they finish
+    alert('Stop tracking or the video export (Esc) before loading another clip.');
+    return;
+  }
+  if ((trails.length || calibStep > 0) &&  // Wipes the session and its undo history
+      !confirm(`Loading “${name}” wipes ${trails.length} rep(s) and the calibration; this cannot be undone.\nLoad it?`)) {
+    refreshRecentClips();                // Put the select back on the current clip
+    return;
+  }
+  if (cameras.length > 1) closeSecondCamera(); // A new main clip starts a single-camera session
+  if (cameras.length > 1) return;        // Could not switch back to camera A
+  vid.pause();
+  resetSession();                        // New clip = new calibration and new reps
+  clearHistory();                        // Undo steps belong to the previous clip
+  detectedFps = null; fpsOverride = null; // Re-detect for the new clip
+  motionScan = null;                     // Candidates belong to the old clip
+  motionError = null;
+  calibFrame = null;
+  if (motionJob) motionJob.cancelled = true;
+  if (fpsInput) { fpsInput.value(''); fpsInput.attribute('placeholder', ''); }
+  if (speedSelect) speedSelect.selected('1');  // A new src resets playbackRate
+  videoName = name;
+  vid.elt.src = url;
+  vid.elt.load();                        // Fires loadeddata → ready, loadedmetadata → resize
+  refreshRecentClips();
+}
+
+/** Resize the canvas to the clip’s real aspect ratio, fitting inside CANVAS_MAX_W x CANVAS_MAX_H. */
+function fitCanvasToVideo() {
+  const size = canvasSizeFor(vid.elt);
+  if (!size) return;                     // Metadata not usable yet
+  resizeCanvas(size.w, size.h);
+  setViewZoom(1, 0, 0);                  // Frame coordinates changed
+  fitCanvasToViewport();                 // resizeCanvas resets the CSS size
+}
+
+/** Canvas size { w, h } a clip is shown at (its points are in these coordinates), or null. */
+function canvasSizeFor(el) {
+  const vw = el.videoWidth, vh = el.videoHeight;
+  if (!vw || !vh) return null;
+  const scale = Math.min(CANVAS_MAX_W / vw, CANVAS_MAX_H / vh);
+  return { w: Math.round(vw * scale), h: Math.round(vh * scale) };
+}
+
+// ------------------------------ Session files ----------------------------------
+
+/**
+ * A session file is a versioned JSON snapshot of everything the user has done
+ * with one clip: calibration clicks, completed reps (points carry their video
+ * timestamps `t`) and the rep in progress. Derived values (pixelsPerMeter,
+ * topLine, metrics) are written for readability but recomputed on import.
+ */
+
+/** Save / load / restore buttons, appended to the video bar. */
+function createSessionControls() {
+  const btnSave = createButton('💾 Save session');
+  styleButton(btnSave);
+  btnSave.parent(videoBar);
+  btnSave.mousePressed(() => saveJSON(serializeSession(), sessionFileName(), false));
+
+  const label = createElement('label', '📥 Load session ');
+  label.parent(videoBar);
+  const input = createFileInput(handleSessionFile);
+  input.attribute('accept', 'application/json,.json');
+  input.parent(label);
+
+  btnRestoreAutosave = createButton('↺ Restore autosave');
+  styleButton(btnRestoreAutosave);
+  btnRestoreAutosave.parent(videoBar);
+  btnRestoreAutosave.mousePressed(restoreAutosave);
+  if (!readAutosave()) btnRestoreAutosave.hide();
+}
+
+/** e.g. “practice-clip_session.json” for “practice-clip.mp4”. */
+function sessionFileName() {
+  return `${videoName.replace(/\.[^.]+$/, '')}_session.json`;
+}
+
+/** Snapshot the current state into a plain, JSON-safe session document. */
+function serializeSession() {
+  if (activeCam !== 0) return withCamera(0, serializeSession); // Files are written from camera A’s side
+  computeAllRepMetrics();                // Keep exported metrics in sync with the points
+  const duration = vid && vid.elt && isFinite(vid.elt.duration) ? vid.elt.duration : null;
+  return {
+    schemaVersion: SESSION_SCHEMA_VERSION,
+    app: 'VolleyVision',
+    savedAt: new Date().toISOString(),
+    video: { name: videoName, duration, fps: currentFps(), fpsManual: fpsOverride != null },
+    calibration: {
+      step: calibStep,
+      points: calibPts,
+      netPresetId,
+      netHeightM,
+      netWidthM,
+      pixelsPerMeter,
+      topLine,
+      homography,
+      errorCM: calibError ? calibError.cm : null,
+    },
+    secondCamera: secondCameraInfo(),
+    reps: trails.map((r) => ({
+      points: r.points,
+      pointsB: r.otherPoints && r.otherPoints.length ? r.otherPoints : undefined,
+      color: r.color,
+      peakM: r.peakM ?? null,
+      aboveNetCM: r.aboveNetCM ?? null,
+      widthM: r.widthM ?? null,
+      direction: r.direction ?? null,
+      fit: r.fit ?? null,
+      tags: r.tags ?? null,
+      zone: r.zone ?? null,
+      sources: r.sources ?? undefined,
+    })),
+    zones,
+    current,
+    paletteIdx,
+  };
+}
+
+/** Camera B’s clip name, role, sync offset and calibration clicks (null for single-camera sessions). */
+function secondCameraInfo() {
+  if (cameras.length < 2) return pendingSecondCamera; // Keep a loaded one until its clip is opened
+  const b = cameras[1];
+  return {
+    name: b.videoName,
+    role: b.role,
+    roleA: cameras[0].role,
+    offsetS: syncOffsetS,
+    calibration: { step: b.calibStep, points: b.calibPts, errorCM: b.calibError ? b.calibError.cm : null },
+  };
+}
+
+/** Saved calibration clicks → { pts, step }, keeping those made in click order (LB, LT, RB, RT). */
+function restoredCalibration(points) {
+  const pts = { LB: null, LT: null, RB: null, RT: null };
+  let step = 0;
+  for (const k of ['LB', 'LT', 'RB', 'RT']) {
+    if (!points || !points[k]) break;
+    pts[k] = points[k];
+    step++;
+  }
+  return { pts, step };
+}
+
+/** Replace the current state with a (migrated) session document. */
+function applySession(doc) {
+  doc = migrateSession(doc);
+  if (activeCam !== 0) switchCamera(0);  // Reps and calibration in the file are camera A’s
+
+  const calib = doc.calibration || {};
+  const { net } = VVMetrics.sessionCalibration(doc);
+  const restored = restoredCalibration(calib.points);
+  calibPts = restored.pts;
+  calibStep = restored.step;             // Saved mid-calibration: carry on from the next click
+  setNetDimensions(net.presetId, net.heightM, net.widthM);
+  pixelsPerMeter = null; topLine = null;
+  homography = null; homographyInv = null; calibError = null;
+  if (calibStep === 4) finalizeCalibration(); // Recompute rather than trust stored numbers
+
+  trails = (doc.reps || []).map((r) => ({
+    points: r.points || [],
+    otherPoints: r.pointsB || [],
+    color: r.color || nextColour(),
+    tags: r.tags || null,
+  }));
+  current = doc.current && doc.current.points
+    ? { points: doc.current.points, otherPoints: doc.current.otherPoints || [], color: doc.current.color || nextColour() }
+    : { points: [], color: nextColour() };
+  if (Number.isInteger(doc.paletteIdx)) paletteIdx = doc.paletteIdx;
+  if (doc.video && doc.video.fpsManual && doc.video.fps > 0) setFpsOverride(doc.video.fps);
+  if (Array.isArray(doc.zones)) setZones(doc.zones, false); // Don’t overwrite the coach’s own zone set
+  pendingSecondCamera = doc.secondCamera || null;
+  if (cameras.length > 1 && pendingSecondCamera && pendingSecondCamera.name === cameras[1].videoName) {
+    applySecondCameraSettings(pendingSecondCamera); // The matching clip is already open
+  }
+
+  showAllAtEnd = false; started = false;
+  statsDiv.style('display', 'none'); statsDiv.html('');
+  selectedRep = -1;
+  computeAllRepMetrics();
+  renderTimeline();
+  updateDashboard();
+}
 
+/** Warn (and let the user back out) when a session was recorded on another clip. */
+function confirmSessionVideo(doc) {
+  const name = doc && doc.video && doc.video.name;
+  if (!name || name === videoName) return true;
+  return confirm(`This session was annotated on “${name}” but “${videoName}” is loaded.\nLoad it anyway?`);
+}
 
+/** p5 callback for the “Load session” file input. */
+function handleSessionFile(f) {
+  if (!f || !f.file) return;
+  f.file.text()
+    .then((txt) => {
+      const doc = migrateSession(JSON.parse(txt));
+      if (!confirmSessionVideo(doc)) return;
+      recordHistory('Load session');
+      applySession(doc);
+      autosaveSession();
+    })
+    .catch((err) => {
+      console.error('SESSION LOAD ERROR', err);
+      alert(`Could not load session: ${err.message}`);
+    });
+}
 
+/** Write the session to localStorage so a crash or refresh loses at most one action. */
+function autosaveSession() {
+  try {
+    localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(serializeSession()));
+    if (btnRestoreAutosave) btnRestoreAutosave.show();
+  } catch (err) {
+    console.warn('Autosave failed', err); // Quota exceeded / storage disabled
+  }
+}
 
+/** Parsed autosave document, or null if none / unreadable. */
+function readAutosave() {
+  try {
+    const raw = localStorage.getItem(AUTOSAVE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/** Load the autosaved session back into the app. */
+function restoreAutosave() {
+  const doc = readAutosave();
+  if (!doc) return;
+  try {
+    if (!confirmSessionVideo(doc)) return;
+    recordHistory('Restore autosave');
+    applySession(doc);
+  } catch (err) {
+    console.error('AUTOSAVE RESTORE ERROR', err);
+    alert(`Could not restore autosave: ${err.message}`);
+  }
+}
+
+// ------------------------------ Ball tracking ----------------------------------
+
+/**
+ * Optional semi-automatic tracker. The user clicks the ball once (after T or
+ * “Track ball”); the tracker then steps the video frame by frame, matching an
+ * RGB template of the ball inside a window around the position predicted from
+ * the last velocity. The result is a proposal the user can accept, reject, or
+ * correct by clicking the ball on any frame (tracking restarts from there).
+ */
+let trackArmed = false;     // Next canvas click starts a tracking run
+let tracking = false;       // A run is in progress (set false to stop it)
+let trackRun = null;        // Token of the run in progress; a newer run replaces it
+let trackProposal = null;   // { points: [{ x, y, t }], lost, error } awaiting accept/reject
+let trackCanvas = null;     // Offscreen canvas the frames are read from
+let trackCtx = null;
+
+/** Buttons + status line for the tracker, under the canvas. */
+function createTrackPanel() {
+  trackPanel = createDiv('');
+  trackPanel.style('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
+  trackPanel.style('margin', '8px 0 0 0');
+  trackPanel.style('gap', '10px');
+  trackPanel.style('align-items', 'center');
+  trackPanel.style('display', 'none');
+
+  const btnTrack = createButton('🎯 Track ball (T)');
+  btnTrackAccept = createButton('✔ Accept track');
+  btnTrackReject = createButton('✖ Reject track');
+  [btnTrack, btnTrackAccept, btnTrackReject].forEach((b) => { styleButton(b); b.parent(trackPanel); });
+  btnTrack.mousePressed(armTracking);
+  btnTrackAccept.mousePressed(acceptTrack);
+  btnTrackReject.mousePressed(rejectTrack);
+
+  trackStatus = createSpan('');
+  trackStatus.parent(trackPanel);
+  updateTrackPanel();
+}
+
+/** Sync the tracker buttons/status with the current state. */
+function updateTrackPanel() {
+  const reviewing = !!trackProposal && !tracking;
+  if (reviewing) btnTrackAccept.removeAttribute('disabled'); else btnTrackAccept.attribute('disabled', '');
+  if (trackProposal) btnTrackReject.removeAttribute('disabled'); else btnTrackReject.attribute('disabled', '');
+
+  let msg = '';
+  if (tracking) msg = `Tracking… ${trackProposal.points.length} frames (Esc to stop)`;
+  else if (trackProposal) {
+    msg = `${trackProposal.points.length} tracked points` +
+      (trackProposal.lost ? ' (ball lost)' : '') +
+      (trackProposal.error ? ` (tracking failed: ${escapeHTML(trackProposal.error)})` : '') +
+      ' — accept, reject, or pause on a bad frame and click the ball to correct';
+  } else if (trackArmed) msg = 'Pause on the set contact and click the ball to start tracking';
+  trackStatus.html(msg);
+}
+
+/** Next click on the canvas will seed the tracker. */
+function armTracking() {
+  if (calibStep < 4 || showAllAtEnd || tracking) return;
+  trackArmed = true;
+  vid.pause();
+  updateTrackPanel();
+}
+
+/**
+ * Seed (or re-seed) the tracker at a click. When correcting a proposal, points
+ * at or after the clicked frame are replaced by a fresh run from the click.
+ */
+function trackFromClick(x, y) {
+  const t = vid.time();
+  const keep = trackProposal
+    ? trackProposal.points.filter((p) => p.t < t - frameDuration() / 2)
+    : [];
+  trackArmed = false;
+  runTracker(x, y, t, keep).catch((err) => {   // Frame reads can throw (e.g. a tainted canvas)
+    console.error('TRACK ERROR', err);
+    if (trackProposal) trackProposal.error = err.message;
+    updateTrackPanel();
+  });
+}
+
+/** Frame-by-frame template tracking from (x, y) at time t. */
+async function runTracker(x, y, t, prefix) {
+  vid.pause();
+  const run = trackRun = {};                               // Stale runs stop at their next await
+  const live = () => tracking && trackRun === run;
+  tracking = true;
+  const proposal = trackProposal = { points: prefix.concat([{ x, y, t }]), lost: false, error: null };
+  updateTrackPanel();
+  try {
+    ensureTrackCanvas();
+    await seekVideo(t);
+    if (live()) await trackFrom(x, y, t, proposal, live);
+  } finally {
+    if (trackRun === run) {                                // Only the current run owns the flag
+      tracking = false;
+      trackRun = null;
+      updateTrackPanel();
+    }
+  }
+}
+
+/** The frame loop of a run: appends to proposal while live() holds. */
+async function trackFrom(x, y, t, proposal, live) {
+  let frame = grabTrackFrame();
+  let pos = { x: x * TRACK_SCALE, y: y * TRACK_SCALE };   // Processing coordinates
+  let vel = { x: 0, y: 0 };
+  let template = readPatch(frame, pos.x, pos.y);
+  const duration = vid.duration();
+
+  for (let i = 0; i < TRACK_MAX_FRAMES && live(); i++) {
+    t = frameTime(frameIndexAt(t) + 1);                   // Exactly the next decoded frame
+    if (t >= duration) break;
+    await seekVideo(t);
+    if (!live()) break;                                    // Stopped (Esc), rejected or restarted meanwhile
+    frame = grabTrackFrame();
+
+    const guess = { x: pos.x + vel.x, y: pos.y + vel.y };  // Constant-velocity prediction
+    const m = matchTemplate(frame, template, guess);
+    if (!m || m.mse > TRACK_LOST_MSE) { proposal.lost = true; break; }
+
+    vel = { x: m.x - pos.x, y: m.y - pos.y };
+    pos = { x: m.x, y: m.y };
+    proposal.points.push({ x: pos.x / TRACK_SCALE, y: pos.y / TRACK_SCALE, t });
+
+    // Blend the template towards the latest appearance (the ball spins/changes size)
+    const patch = readPatch(frame, pos.x, pos.y);
+    for (let k = 0; k < template.length; k++) template[k] = 0.8 * template[k] + 0.2 * patch[k];
+    updateTrackPanel();
+  }
+}
+
+/** Lazily create the offscreen canvas at TRACK_SCALE of the current canvas. */
+function ensureTrackCanvas() {
+  const w = Math.round(width * TRACK_SCALE), h = Math.round(height * TRACK_SCALE);
+  if (!trackCanvas) {
+    trackCanvas = document.createElement('canvas');
+    trackCtx = trackCanvas.getContext('2d', { willReadFrequently: true });
+  }
+  if (trackCanvas.width !== w || trackCanvas.height !== h) { trackCanvas.width = w; trackCanvas.height = h; }
+}
+
+/** Draw the current video frame offscreen and return its ImageData. */
+function grabTrackFrame() {
+  trackCtx.drawImage(vid.elt, 0, 0, trackCanvas.width, trackCanvas.height);
+  return trackCtx.getImageData(0, 0, trackCanvas.width, trackCanvas.height);
+}
+
+/** Resolve once the video (default: the on-screen one) has seeked to t, or after a timeout. */
+function seekVideo(t, el = vid.elt) {
+  return new Promise((resolve) => {
+    let timer = null;
+    const done = () => { el.removeEventListener('seeked', done); clearTimeout(timer); resolve(); };
+    el.addEventListener('seeked', done);
+    timer = setTimeout(done, 1000);
+    el.currentTime = t;
+  });
+}
+
+/** RGB values of the (2R+1)² patch centred on (cx, cy), clamped at the frame edges. */
+function readPatch(frame, cx, cy) {
+  const R = TRACK_TEMPLATE_R, out = new Float32Array((2 * R + 1) * (2 * R + 1) * 3);
+  let k = 0;
+  for (let dy = -R; dy <= R; dy++) {
+    for (let dx = -R; dx <= R; dx++) {
+      const px = constrain(Math.round(cx + dx), 0, frame.width - 1);
+      const py = constrain(Math.round(cy + dy), 0, frame.height - 1);
+      const i = (py * frame.width + px) * 4;
+      out[k++] = frame.data[i]; out[k++] = frame.data[i + 1]; out[k++] = frame.data[i + 2];
+    }
+  }
+  return out;
+}
+
+/** Best template match (lowest mean squared error) in the search window around guess. */
+function matchTemplate(frame, template, guess) {
+  const R = TRACK_TEMPLATE_R, S = TRACK_SEARCH_R;
+  const gx = Math.round(guess.x), gy = Math.round(guess.y);
+  let best = null;
+  for (let cy = gy - S; cy <= gy + S; cy++) {
+    if (cy - R < 0 || cy + R >= frame.height) continue;
+    for (let cx = gx - S; cx <= gx + S; cx++) {
+      if (cx - R < 0 || cx + R >= frame.width) continue;
+      let sse = 0, k = 0;
+      for (let dy = -R; dy <= R && (!best || sse < best.sse); dy++) {
+        let i = ((cy + dy) * frame.width + (cx - R)) * 4;
+        for (let dx = -R; dx <= R; dx++, i += 4) {
+          const dr = frame.data[i] - template[k++];
+          const dg = frame.data[i + 1] - template[k++];
+          const db = frame.data[i + 2] - template[k++];
+          sse += dr * dr + dg * dg + db * db;
+        }
+      }
+      if (!best || sse < best.sse) best = { x: cx, y: cy, sse };
+    }
+  }
+  if (!best) return null;                                  // Window entirely off-frame
+  return { x: best.x, y: best.y, mse: best.sse / template.length };
+}
+
+/** Merge the proposal into the current rep, replacing clicks inside its time span. */
+function acceptTrack() {
+  if (!trackProposal || tracking) return;
+  const pts = trackProposal.points;
+  const t0 = pts[0].t, t1 = pts[pts.length - 1].t;
+  recordHistory('Accept track');
+  current.points = current.points
+    .filter((p) => p.t < t0 || p.t > t1)
+    .concat(pts)
+    .sort((a, b) => a.t - b.t);
+  trackProposal = null;
+  updateTrackPanel();
+  autosaveSession();
+}
+
+/** Discard the proposal (stopping a run in progress). */
+function rejectTrack() {
+  tracking = false;
+  trackArmed = false;
+  trackProposal = null;
+  updateTrackPanel();
+}
+
+/** Dotted preview of the tracker’s proposal, with the frame nearest the playhead ringed. */
+function drawTrackProposal() {
+  if (!trackProposal) return;
+  const now = vid.time();
+  push();
+  noStroke();
+  fill(255, 255, 255, 200);
+  let nearest = null;
+  for (const p of trackProposal.points) {
+    circle(p.x, p.y, 5);
+    if (!nearest || Math.abs(p.t - now) < Math.abs(nearest.t - now)) nearest = p;
+  }
+  if (nearest) {
+    noFill(); stroke(255, 220, 0); strokeWeight(2);
+    circle(nearest.x, nearest.y, 18);
+  }
+  pop();
+}
+
+// ------------------------------ Rep tags ---------------------------------------
+
+/** Panel that pops up after N: free-text setter/hitter and pick-lists for the rest. */
+function createTagPanel() {
+  tagPanel = createDiv('');
+  tagPanel.style('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
+  tagPanel.style('position', 'absolute');
+  tagPanel.style('padding', '12px');
+  tagPanel.style('border-radius', '10px');
+  tagPanel.style('background', 'rgba(17,17,17,0.92)');
+  tagPanel.style('color', '#fff');
+  tagPanel.style('display', 'none');
+  tagPanel.style('gap', '8px');
+  tagPanel.style('flex-wrap', 'wrap');
+  tagPanel.style('align-items', 'center');
+  tagPanel.style('max-width', '520px');
+
+  tagTitle = createDiv('');
+  tagTitle.parent(tagPanel);
+  tagTitle.style('width', '100%');
+  tagTitle.style('font-weight', '600');
+
+  for (const f of TAG_FIELDS) {
+    const label = createElement('label', `${f.label} `);
+    label.parent(tagPanel);
+    let inp;
+    if (f.options) {
+      inp = createSelect();
+      inp.option('—', '');
+      for (const o of f.options) inp.option(o);
+    } else {
+      inp = createInput('');
+      inp.attribute('list', `vv-tag-${f.key}`);       // Suggest names used before
+      createElement('datalist').id(`vv-tag-${f.key}`).parent(label);
+      inp.style('width', '110px');
+    }
+    inp.parent(label);
+    tagInputs[f.key] = inp;
+  }
+
+  const btnSave = createButton('✔ Save tags');
+  const btnSkip = createButton('Skip');
+  [btnSave, btnSkip].forEach((b) => { styleButton(b); b.parent(tagPanel); });
+  btnSave.mousePressed(saveTagPanel);
+  btnSkip.mousePressed(closeTagPanel);
+
+  // Enter saves, Esc skips. Stop the key here: once the panel closes the field
+  // is no longer focused, and p5’s window listener would run it as a shortcut.
+  tagPanel.elt.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); e.stopPropagation(); saveTagPanel(); }
+    if (e.key === 'Escape') { e.preventDefault(); e.stopPropagation(); closeTagPanel(); }
+  });
+}
+
+/** Show the tag panel for trails[idx], prefilled with its tags or the last rep’s people. */
+function openTagPanel(idx) {
+  tagRepIdx = idx;
+  vid.pause();
+  const rep = trails[idx];
+  const prev = [...trails.slice(0, idx)].reverse().find((r) => r.tags);
+  for (const f of TAG_FIELDS) {
+    let v = rep.tags ? rep.tags[f.key] : '';
+    if (!rep.tags && prev && (f.key === 'setter' || f.key === 'hitter')) v = prev.tags[f.key];
+    tagInputs[f.key].value(v || '');
+    if (!f.options) refreshNameSuggestions(f.key);
+  }
+  tagTitle.html(`Tag rep ${idx + 1}`);
+  const cnv = document.querySelector('canvas').getBoundingClientRect();
+  tagPanel.position(cnv.left + window.scrollX + 12, cnv.top + window.scrollY + 64);
+  tagPanel.style('display', 'flex');
+  tagInputs.setter.elt.focus();
+}
+
+/** Store the entered tags on the rep (empty fields are dropped). */
+function saveTagPanel() {
+  const rep = trails[tagRepIdx];
+  if (rep) {
+    recordHistory(`Tag rep ${tagRepIdx + 1}`);
+    const tags = {};
+    for (const f of TAG_FIELDS) {
+      const v = String(tagInputs[f.key].value()).trim();
+      if (v) tags[f.key] = v;
+    }
+    rep.tags = Object.keys(tags).length ? tags : null;
+    autosaveSession();
+    if (showAllAtEnd) { refreshFilterOptions(); renderStatsTable(); }
+  }
+  closeTagPanel();
+}
+
+function closeTagPanel() {
+  tagPanel.style('display', 'none');
+  tagRepIdx = -1;
+  document.activeElement.blur();                  // Hand the keyboard back to the shortcuts
+}
+
+/** Fill a name field’s <datalist> with every value used so far. */
+function refreshNameSuggestions(key) {
+  const list = select(`#vv-tag-${key}`);
+  const names = [...new Set(trails.map((r) => r.tags && r.tags[key]).filter(Boolean))];
+  list.html(names.map((n) => `<option value="${escapeHTML(n)}"></option>`).join(''));
+}
+
+// ------------------------------ Tag filters ------------------------------------
+
+/** One select per tag field; “All” plus the values present in trails. */
+function createFilterBar() {
+  filterBar = createDiv('');
+  filterBar.style('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
+  filterBar.style('margin', '8px 0 0 0');
+  filterBar.style('gap', '10px');
+  filterBar.style('align-items', 'center');
+  filterBar.style('flex-wrap', 'wrap');
+  filterBar.style('display', 'none');
+
+  createSpan('<b>Filter reps:</b>').parent(filterBar);
+  for (const f of TAG_FIELDS) {
+    const label = createElement('label', `${f.label} `);
+    label.parent(filterBar);
+    const sel = createSelect();
+    sel.parent(label);
+    sel.changed(renderStatsTable);                 // Trails re-filter on the next draw
+    filterSelects[f.key] = sel;
+  }
+  refreshFilterOptions();
+}
+
+/** Rebuild each filter’s options from the tags in trails, keeping valid selections. */
+function refreshFilterOptions() {
+  for (const f of TAG_FIELDS) {
+    const sel = filterSelects[f.key];
+    const prev = sel.value();
+    const values = [...new Set(trails.map((r) => r.tags && r.tags[f.key]).filter(Boolean))].sort();
+    sel.html('');
+    sel.option('All', '');
+    for (const v of values) sel.option(v);
+    sel.selected(values.includes(prev) ? prev : '');
+  }
+}
+
+/** Active filters as { key: value }, only for fields with a value chosen. */
+function activeFilters() {
+  const out = {};
+  for (const f of TAG_FIELDS) {
+    const v = filterSelects[f.key] ? filterSelects[f.key].value() : '';
+    if (v) out[f.key] = v;
+  }
+  return out;
+}
+
+/** e.g. “Setter = Ana, Outcome = kill” (empty when nothing is filtered). */
+function filterSummary() {
+  return Object.entries(activeFilters())
+    .map(([k, v]) => `${TAG_FIELDS.find((f) => f.key === k).label} = ${v}`)
+    .join(', ');
+}
+
+/** Reps passing the tag filters, with their original index (rep numbers stay stable). */
+function visibleReps() {
+  const filters = Object.entries(activeFilters());
+  return trails
+    .map((rep, index) => ({ rep, index }))
+    .filter(({ rep }) => filters.every(([k, v]) => rep.tags && rep.tags[k] === v));
+}
+
+// ------------------------------ Rep timeline -----------------------------------
+
+/**
+ * Strip under the canvas with each rep drawn as a coloured span from its first
+ * to last point time. Clicking a span selects the rep and seeks the video to
+ * its start; clicking empty space clears the selection.
+ */
+function createTimeline() {
+  timelineDiv = createDiv('');
+  timelineDiv.style('position', 'relative');
+  timelineDiv.style('height', '26px');
+  timelineDiv.style('margin', '6px 0 0 0');
+  timelineDiv.style('border-radius', '6px');
+  timelineDiv.style('background', '#222');
+  timelineDiv.style('overflow', 'hidden');
+  timelineDiv.style('cursor', 'pointer');
+  timelineDiv.elt.addEventListener('click', (e) => {
+    if (e.target === timelineDiv.elt || e.target === timelinePlayhead.elt) selectRep(-1);
+  });
+
+  createRepEditBar();
+  renderTimeline();
+}
+
+/** Length of the timeline in seconds (video duration, or the last click if unknown). */
+function timelineDuration() {
+  const d = vid && vid.elt ? vid.elt.duration : NaN;
+  if (isFinite(d) && d > 0) return d;
+  const last = Math.max(0, ...trails.flatMap((r) => repTimes(r)));
+  return last || 1;
+}
+
+/** Click times of a rep on the on-screen clip’s clock, including the other camera’s clicks. */
+function repTimes(rep) {
+  const other = (rep.otherPoints || []).map((p) => linkTime(p.t || 0, 1 - activeCam, activeCam));
+  return [...rep.points.map((p) => p.t || 0), ...other];
+}
+
+/** Rebuild the rep spans (call after any change to trails). */
+function renderTimeline() {
+  if (!timelineDiv) return;
+  timelineDiv.html('');
+  const dur = timelineDuration();
+  renderMotionCandidates(dur);           // Suggested reps/touches under the real ones
+
+  trails.forEach((rep, i) => {
+    const ts = repTimes(rep);
+    if (!ts.length) return;
+    const t0 = Math.min(...ts), t1 = Math.max(...ts);
+    const span = createDiv(`${i + 1}`);
+    span.parent(timelineDiv);
+    span.style('position', 'absolute');
+    span.style('top', i === selectedRep ? '0' : '4px');
+    span.style('bottom', i === selectedRep ? '0' : '4px');
+    span.style('left', `${(t0 / dur) * 100}%`);
+    span.style('width', `max(14px, ${((t1 - t0) / dur) * 100}%)`);
+    span.style('background', `rgb(${rep.color[0]},${rep.color[1]},${rep.color[2]})`);
+    span.style('outline', i === selectedRep ? '2px solid #fff' : 'none');
+    span.style('border-radius', '4px');
+    span.style('font', '11px system-ui');
+    span.style('color', '#111');
+    span.style('text-align', 'center');
+    span.style('line-height', i === selectedRep ? '26px' : '18px');
+    span.attribute('title', `Rep ${i + 1}: ${t0.toFixed(2)}–${t1.toFixed(2)} s`);
+    span.mousePressed(() => selectRep(i, true));
+  });
+
+  timelinePlayhead = createDiv('');
+  timelinePlayhead.parent(timelineDiv);
+  timelinePlayhead.style('position', 'absolute');
+  timelinePlayhead.style('top', '0');
+  timelinePlayhead.style('bottom', '0');
+  timelinePlayhead.style('width', '2px');
+  timelinePlayhead.style('background', '#fff');
+  timelinePlayhead.style('pointer-events', 'none');
+  updatePlayhead();
+}
+
+/** Move the playhead to the video’s current time (called every frame). */
+function updatePlayhead() {
+  if (!timelinePlayhead || !vid) return;
+  timelinePlayhead.style('left', `${(vid.time() / timelineDuration()) * 100}%`);
+}
+
+/** Highlight trails[i] (or clear with -1); optionally seek the video to its first point. */
+function selectRep(i, seek) {
+  selectedRep = i;
+  if (seek && trails[i] && repTimes(trails[i]).length) {
+    vid.pause();
+    vid.time(Math.max(0, Math.min(...repTimes(trails[i]))));
+  }
+  renderTimeline();
+  updateRepEditBar();
+}
+
+// ------------------------------ Rep editing ------------------------------------
+
+/** Delete / reorder / split / merge / tag buttons for the selected rep (end screen only). */
+function createRepEditBar() {
+  repEditBar = createDiv('');
+  repEditBar.style('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
+  repEditBar.style('margin', '6px 0 0 0');
+  repEditBar.style('gap', '8px');
+  repEditBar.style('align-items', 'center');
+  repEditBar.style('flex-wrap', 'wrap');
+  repEditBar.style('display', 'none');
+
+  const actions = [
+    ['🗑 Delete', deleteSelectedRep],
+    ['◀ Earlier', () => moveSelectedRep(-1)],
+    ['Later ▶', () => moveSelectedRep(1)],
+    ['✂ Split at playhead', splitSelectedRep],
+    ['🔗 Merge with next', mergeSelectedRep],
+    ['🏷 Tags', () => { if (selectedRep >= 0) openTagPanel(selectedRep); }],
+  ];
+  repEditButtons = actions.map(([label, fn]) => {
+    const b = createButton(label);
+    styleButton(b);
+    b.style('padding', '6px 10px');
+    b.parent(repEditBar);
+    b.mousePressed(fn);
+    return b;
+  });
+  repEditHint = createSpan('');
+  repEditHint.parent(repEditBar);
+  updateRepEditBar();
+}
+
+/** Enable the edit buttons only when a rep is selected. */
+function updateRepEditBar() {
+  if (!repEditBar) return;
+  for (const b of repEditButtons) {
+    if (selectedRep >= 0) b.removeAttribute('disabled'); else b.attribute('disabled', '');
+  }
+  repEditHint.html(selectedRep >= 0
+    ? `Rep ${selectedRep + 1} selected — drag its points on the video to fix misclicks`
+    : 'Click a rep on the timeline (or a point on the video) to edit it');
+}
+
+/** Recompute everything that depends on trails after an edit. */
+function afterRepEdit() {
+  computeAllRepMetrics();
+  refreshFilterOptions();
+  renderStatsTable();
+  renderTimeline();
+  updateRepEditBar();
+  autosaveSession();
+}
+
+function deleteSelectedRep() {
+  if (selectedRep < 0) return;
+  recordHistory(`Delete rep ${selectedRep + 1}`);
+  trails.splice(selectedRep, 1);
+  selectedRep = -1;
+  afterRepEdit();
+}
+
+/** Swap the selected rep with its neighbour (dir = -1 earlier, +1 later in the numbering). */
+function moveSelectedRep(dir) {
+  const j = selectedRep + dir;
+  if (selectedRep < 0 || j < 0 || j >= trails.length) return;
+  recordHistory(`Move rep ${selectedRep + 1}`);
+  [trails[selectedRep], trails[j]] = [trails[j], trails[selectedRep]];
+  selectedRep = j;
+  afterRepEdit();
+}
+
+/** Split the selected rep into the points before and from the playhead. */
+function splitSelectedRep() {
+  const rep = trails[selectedRep];
+  if (!rep) return;
+  const t = vid.time();
+  const before = rep.points.filter((p) => p.t < t);
+  const after = rep.points.filter((p) => p.t >= t);
+  if (!before.length || !after.length) return;     // Playhead isn’t inside the rep
+  recordHistory(`Split rep ${selectedRep + 1}`);
+  const tOther = linkTime(t, activeCam, 1 - activeCam);  // Same moment in the other camera
+  const others = rep.otherPoints || [];
+  rep.points = before;
+  rep.otherPoints = others.filter((p) => p.t < tOther);
+  trails.splice(selectedRep + 1, 0, {
+    points: after,
+    otherPoints: others.filter((p) => p.t >= tOther),
+    color: nextColour(),
+    tags: rep.tags ? Object.assign({}, rep.tags) : null,
+  });
+  afterRepEdit();
+}
+
+/** Join the selected rep with the next one (points ordered by time; first rep’s colour/tags kept). */
+function mergeSelectedRep() {
+  const rep = trails[selectedRep], next = trails[selectedRep + 1];
+  if (!rep || !next) return;
+  recordHistory(`Merge reps ${selectedRep + 1}+${selectedRep + 2}`);
+  rep.points = rep.points.concat(next.points).sort((a, b) => a.t - b.t);
+  rep.otherPoints = (rep.otherPoints || []).concat(next.otherPoints || []).sort((a, b) => a.t - b.t);
+  trails.splice(selectedRep + 1, 1);
+  afterRepEdit();
+}
+
+/** Draw grab handles on each point of a rep. */
+function drawPointHandles(rep) {
+  push();
+  stroke(0); strokeWeight(1.5);
+  fill(rep.color[0], rep.color[1], rep.color[2]);
+  for (const p of rep.points) circle(p.x, p.y, 10);
+  pop();
+}
+
+/** Find the nearest visible point within 12 px; it becomes the drag target and selects its rep. */
+function startPointDrag(x, y) {
+  if (!showTrails || endView !== 'trails') return;         // Points are only grabbable where they’re drawn
+  let best = null, bestD = 12;
+  for (const { rep, index } of visibleReps()) {
+    if (selectedRep >= 0 && index !== selectedRep) continue; // Only the highlighted rep is editable
+    rep.points.forEach((p, idx) => {
+      const d = Math.hypot(p.x - x, p.y - y);
+      if (d < bestD) { bestD = d; best = { rep: index, idx }; }
+    });
+  }
+  dragPoint = best && Object.assign(best, { moved: false }); // Undo step on the first real move
+  if (best && best.rep !== selectedRep) selectRep(best.rep);
+}
+
+/** p5 hook: move the grabbed point and refresh metrics live. */
+function mouseDragged() {
+  const p = viewPointer();
+  dragTo(p.x, p.y);
+}
+
+/** Move whatever is grabbed (calibration handle or rep point) to frame position (x, y). */
+function dragTo(x, y) {
+  if (calibDrag) { dragCalibHandle(x, y); return; }
+  if (!dragPoint) return;
+  const p = trails[dragPoint.rep].points[dragPoint.idx];
+  const nx = constrain(x, 0, width), ny = constrain(y, 0, height);
+  if (nx === p.x && ny === p.y) return;
+  if (!dragPoint.moved) { recordHistory('Move point'); dragPoint.moved = true; }
+  p.x = nx;
+  p.y = ny;
+  computeAllRepMetrics();
+  renderStatsTable();
+}
+
+/** p5 hook: finish a point drag. */
+function mouseReleased() {
+  endDrag();
+}
+
+function endDrag() {
+  if (calibDrag) { endCalibDrag(); return; }
+  if (!dragPoint) return;
+  const moved = dragPoint.moved;
+  dragPoint = null;
+  if (moved) afterRepEdit();             // A plain click only selects the rep
+}
+
+// ------------------------------ Undo / redo ------------------------------------
+
+/**
+ * Snapshot history: every annotation action calls recordHistory(label) just
+ * before it mutates state, storing a deep copy of everything the user can
+ * change (calibration, net size, reps, tags, the rep in progress). Undo and
+ * redo swap whole snapshots, so new actions only need that one call.
+ */
+let undoStack = [];         // [{ label, state }] oldest first
+let redoStack = [];
+let historyToast = null;    // { msg, until } shown in the HUD after undo/redo
+
+/** Deep copy of the undoable state. */
+function snapshotState() {
+  const other = cameras.length > 1 ? cameras[1 - activeCam] : null;
+  return JSON.parse(JSON.stringify({
+    calibStep, calibPts,
+    activeCam,
+    otherCalib: other ? { calibStep: other.calibStep, calibPts: other.calibPts } : null,
+    net: { presetId: netPresetId, heightM: netHeightM, widthM: netWidthM },
+    trails: trails.map((r) => ({ points: r.points, otherPoints: r.otherPoints, color: r.color, tags: r.tags || null })),
+    current: { points: current.points, otherPoints: current.otherPoints, color: current.color },
+    paletteIdx,
+  }));
+}
+
+/** Call before mutating; clears the redo branch. */
+function recordHistory(label) {
+  undoStack.push({ label, state: snapshotState() });
+  if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  redoStack = [];
+}
+
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+}
+
+function undo() {
+  const entry = undoStack.pop();
+  if (!entry) { showHistoryToast('Nothing to undo'); return; }
+  redoStack.push({ label: entry.label, state: snapshotState() });
+  restoreState(entry.state);
+  showHistoryToast(`Undo: ${entry.label}`);
+}
+
+function redo() {
+  const entry = redoStack.pop();
+  if (!entry) { showHistoryToast('Nothing to redo'); return; }
+  undoStack.push({ label: entry.label, state: snapshotState() });
+  restoreState(entry.state);
+  showHistoryToast(`Redo: ${entry.label}`);
+}
+
+/** Put a snapshot back and rebuild everything derived from it. */
+function restoreState(st) {
+  if (cameras[st.activeCam]) switchCamera(st.activeCam); // Points and calibration are per view
+  calibPts = st.calibPts;
+  calibStep = st.calibStep;
+  pixelsPerMeter = null; topLine = null;
+  homography = null; homographyInv = null; calibError = null;
+  calibDrag = null;
+  if (st.otherCalib && cameras.length > 1) {
+    withCamera(1 - activeCam, () => {
+      clearCalibration();
+      calibPts = st.otherCalib.calibPts;
+      calibStep = st.otherCalib.calibStep;
+    });
+  }
+  setNetDimensions(st.net.presetId, st.net.heightM, st.net.widthM); // Refinalizes when calibStep is 4
+
+  trails = st.trails;
+  current = st.current;
+  paletteIdx = st.paletteIdx;
+  if (selectedRep >= trails.length) selectedRep = -1;
+  dragPoint = null;
+
+  computeAllRepMetrics();
+  refreshFilterOptions();
+  renderTimeline();
+  updateRepEditBar();
+  if (showAllAtEnd) renderStatsTable();
+  autosaveSession();
+}
+
+function showHistoryToast(msg) {
+  historyToast = { msg, until: millis() + 1500 };
+}
+
+// ------------------------------ Frame rate & stepping --------------------------
+
+/**
+ * Phones record at 30/60/120/240 fps, so stepping by a fixed 1/30 s skips
+ * frames. The rate is measured from requestVideoFrameCallback’s mediaTime
+ * while the clip plays (snapped to a standard rate), or typed in by the user.
+ */
+
+/** Frames per second in use: manual value, else detected, else DEFAULT_FPS. */
+function currentFps() {
+  return fpsOverride || detectedFps || DEFAULT_FPS;
+}
+
+/** Seconds per frame at the current rate. */
+function frameDuration() {
+  return 1 / currentFps();
+}
+
+/** Index of the frame shown at time t (0-based). */
+function frameIndexAt(t) {
+  return Math.floor(t * currentFps() + 1e-6);
+}
+
+/** Seek target for frame i: its middle, so decoders can’t round to a neighbour. */
+function frameTime(i) {
+  return (Math.max(0, i) + 0.5) / currentFps();
+}
+
+function currentFrame() {
+  return frameIndexAt(vid.time());
+}
+
+/** Pause and move exactly n frames (negative = backwards). */
+function stepFrames(n) {
+  vid.pause();
+  const last = Math.max(0, frameIndexAt(vid.duration()) - 1);
+  vid.time(frameTime(constrain(currentFrame() + n, 0, last)));
+}
+
+/** HH:MM:SS:FF timecode at the current rate. */
+function timecode(t) {
+  const fps = currentFps();
+  const frames = Math.floor((t % 1) * fps + 1e-6);
+  const total = Math.floor(t);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}:${pad(frames)}`;
+}
+
+/** HUD text saying where the frame rate came from. */
+function fpsLabel() {
+  const fps = +currentFps().toFixed(2);
+  if (fpsOverride) return `${fps} fps (manual)`;
+  if (detectedFps) return `${fps} fps (detected)`;
+  return `${fps} fps (assumed)`;
+}
+
+/** Use a typed frame rate; empty/invalid input falls back to detection. */
+function setFpsOverride(fps) {
+  fpsOverride = fps > 0 ? fps : null;
+  if (fpsInput && document.activeElement !== fpsInput.elt) fpsInput.value(fpsOverride ? String(fpsOverride) : '');
+}
+
+/**
+ * Collect intervals between consecutively presented frames while the clip
+ * plays, then take the median as the frame duration. Browsers without
+ * requestVideoFrameCallback keep the DEFAULT_FPS assumption.
+ */
+function startFrameRateDetection(el = vid.elt, cam = activeCam) {
+  if (!el.requestVideoFrameCallback) return;
+  const src = el.currentSrc;
+  const deltas = [];
+  let prev = null;
+
+  const onFrame = (now, meta) => {
+    if (el.currentSrc !== src) return;                   // Clip changed
+    const playing = !el.paused && !el.seeking;           // Seeks/steps aren’t real frame intervals
+    if (playing && prev && meta.presentedFrames === prev.presentedFrames + 1) {
+      const d = meta.mediaTime - prev.mediaTime;
+      if (d > 0) deltas.push(d);
+    }
+    prev = meta;
+    if (deltas.length >= FPS_SAMPLES) {
+      deltas.sort((a, b) => a - b);
+      setCameraFps(cam, snapFps(1 / deltas[Math.floor(deltas.length / 2)]));
+      return;
+    }
+    el.requestVideoFrameCallback(onFrame);
+  };
+  el.requestVideoFrameCallback(onFrame);
+}
+
+/** Store a measured rate for camera cam (the globals if it’s the one on screen). */
+function setCameraFps(cam, fps) {
+  if (cam !== activeCam) {
+    if (cameras[cam]) cameras[cam].detectedFps = fps;
+    return;
+  }
+  detectedFps = fps;
+  if (fpsInput) fpsInput.attribute('placeholder', `${+detectedFps.toFixed(2)} (auto)`);
+}
+
+/** Snap a measured rate to the nearest standard rate when within 2 %. */
+function snapFps(raw) {
+  const near = COMMON_FPS.reduce((a, b) => (Math.abs(b - raw) < Math.abs(a - raw) ? b : a));
+  return Math.abs(near - raw) / near < 0.02 ? near : raw;
+}
+
+// ------------------------------ Annotated video export -------------------------
+
+/**
+ * Records the canvas (video + trails + metric labels) to WebM with
+ * MediaRecorder. An export is a list of segments { start, end, reps } played
+ * back in order; during each, the listed reps’ trails grow with the playhead
+ * and stay up for EXPORT_HOLD_S after their last point.
+ */
+let videoExport = null;     // { segments, idx, recorder, chunks, fileName, cancelled } while recording
+let exportPanel;            // Options panel (end screen)
+let exportModeSelect, exportRepSelect, exportReelBox, exportStatus;
+
+function createVideoExportPanel() {
+  exportPanel = createDiv('');
+  exportPanel.style('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
+  exportPanel.style('margin', '8px 0 0 0');
+  exportPanel.style('padding', '10px 12px');
+  exportPanel.style('border-radius', '10px');
+  exportPanel.style('background', '#f1f1f1');
+  exportPanel.style('gap', '10px');
+  exportPanel.style('align-items', 'center');
+  exportPanel.style('flex-wrap', 'wrap');
+  exportPanel.style('display', 'none');
+
+  createSpan('<b>Export video</b>').parent(exportPanel);
+  exportModeSelect = createSelect();
+  exportModeSelect.parent(exportPanel);
+  exportModeSelect.option('Whole clip', 'clip');
+  exportModeSelect.option('Single rep', 'rep');
+  exportModeSelect.option('Highlight reel', 'reel');
+  exportModeSelect.changed(refreshVideoExportPanel);
+
+  exportRepSelect = createSelect();                 // Single rep
+  exportRepSelect.parent(exportPanel);
+  exportReelBox = createDiv('');                    // Highlight reel: one checkbox per rep
+  exportReelBox.parent(exportPanel);
+  exportReelBox.style('display', 'flex');
+  exportReelBox.style('gap', '6px');
+  exportReelBox.style('flex-wrap', 'wrap');
+
+  const btnStart = createButton('⏺ Record WebM');
+  styleButton(btnStart);
+  btnStart.parent(exportPanel);
+  btnStart.mousePressed(startVideoExportFromPanel);
+
+  exportStatus = createSpan('');
+  exportStatus.parent(exportPanel);
+}
+
+function toggleVideoExportPanel() {
+  const open = exportPanel.style('display') === 'none';
+  exportPanel.style('display', open ? 'flex' : 'none');
+  if (open) refreshVideoExportPanel();
+}
+
+/** Rebuild the rep pickers for the chosen mode. */
+function refreshVideoExportPanel() {
+  const mode = exportModeSelect.value();
+  exportRepSelect.html('');
+  trails.forEach((r, i) => exportRepSelect.option(`Rep ${i + 1}`, String(i)));
+  if (selectedRep >= 0) exportRepSelect.selected(String(selectedRep));
+  exportRepSelect.style('display', mode === 'rep' ? 'inline-block' : 'none');
+
+  exportReelBox.html('');
+  if (mode === 'reel') {
+    trails.forEach((r, i) => {
+      const cb = createCheckbox(`Rep ${i + 1}`, true);
+      cb.parent(exportReelBox);
+      cb.elt.dataset.rep = String(i);
+    });
+  }
+  exportReelBox.style('display', mode === 'reel' ? 'flex' : 'none');
+  exportStatus.html(canRecordCanvas() ? '' : 'This browser cannot record the canvas (no MediaRecorder).');
+}
+
+function canRecordCanvas() {
+  return typeof MediaRecorder !== 'undefined' && !!drawingContext.canvas.captureStream;
+}
+
+/** First point time → last point time of a rep. */
+function repTimeSpan(rep) {
+  const ts = rep.points.map((p) => p.t);
+  return { t0: Math.min(...ts), t1: Math.max(...ts) };
+}
+
+/** Build segments from the panel choices and start recording. */
+function startVideoExportFromPanel() {
+  if (!canRecordCanvas()) return;
+  const mode = exportModeSelect.value();
+  const dur = vid.duration();
+  const repSegment = (i) => {
+    const { t0, t1 } = repTimeSpan(trails[i]);
+    return { start: Math.max(0, t0 - EXPORT_PAD_S), end: Math.min(dur, t1 + EXPORT_HOLD_S), reps: [i] };
+  };
+
+  let segments = [], tag = 'clip';
+  if (mode === 'clip') {
+    segments = [{ start: 0, end: dur, reps: trails.map((r, i) => i) }];
+  } else if (mode === 'rep') {
+    const i = Number(exportRepSelect.value());
+    if (!trails[i]) return;
+    segments = [repSegment(i)];
+    tag = `rep${i + 1}`;
+  } else {
+    const picked = [...exportReelBox.elt.querySelectorAll('input[type=checkbox]')]
+      .filter((cb) => cb.checked)
+      .map((cb) => Number(cb.closest('[data-rep]').dataset.rep));
+    segments = picked.filter((i) => trails[i] && trails[i].points.length).map(repSegment);
+    tag = 'reel';
+  }
+  segments = segments.filter((sg) => sg.end > sg.start);
+  if (!segments.length) { exportStatus.html('Nothing to record.'); return; }
+  startVideoExport(segments, `${videoName.replace(/\.[^.]+$/, '')}_${tag}.webm`);
+}
+
+/** Pick a WebM flavour the browser can encode. */
+function pickWebmType() {
+  return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find((t) => MediaRecorder.isTypeSupported(t)) || '';
+}
+
+function startVideoExport(segments, fileName) {
+  const stream = drawingContext.canvas.captureStream(EXPORT_FPS);
+  const mimeType = pickWebmType();
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  recorder.ondataavailable = (e) => { if (e.data && e.data.size) chunks.push(e.data); };
+  recorder.onstop = () => {
+    const exp = videoExport;
+    videoExport = null;
+    vid.speed(Number(speedSelect.value()));       // Back to the user’s playback speed
+    if (exp.cancelled) { exportStatus.html('Recording cancelled.'); return; }
+    downloadBlob(new Blob(chunks, { type: 'video/webm' }), exp.fileName);
+    exportStatus.html(`Saved ${exp.fileName}`);
+  };
+
+  const exp = videoExport = { segments, idx: 0, recorder, chunks, fileName, cancelled: false, seeking: true };
+  setViewZoom(1, 0, 0);                              // Record the whole frame
+  vid.speed(1);                                      // Export in real time
+  exportStatus.html('Recording… (Esc to cancel)');
+  seekVideo(segments[0].start).then(() => {
+    if (videoExport !== exp || exp.cancelled) return; // Cancelled meanwhile
+    recorder.start(250);
+    exp.seeking = false;
+    vid.play();
+  });
+}
+
+/** Advance to the next segment, or stop when the last one has played. */
+function nextExportSegment() {
+  const exp = videoExport;
+  exp.idx++;
+  if (exp.idx >= exp.segments.length) { finishVideoExport(); return; }
+  exp.seeking = true;
+  vid.pause();
+  exp.recorder.pause();                              // No frozen frames while seeking
+  seekVideo(exp.segments[exp.idx].start).then(() => {
+    if (videoExport !== exp) return;                 // Cancelled meanwhile
+    exp.recorder.resume();
+    exp.seeking = false;
+    vid.play();
+  });
+}
+
+function finishVideoExport() {
+  if (!videoExport) return;
+  videoExport.seeking = true;                        // Stop draw() from advancing segments
+  vid.pause();
+  if (videoExport.recorder.state !== 'inactive') videoExport.recorder.stop();
+  else videoExport.recorder.onstop();                // Cancelled before recording started: no stop event
+}
+
+function cancelVideoExport() {
+  if (!videoExport) return;
+  videoExport.cancelled = true;
+  finishVideoExport();
+}
+
+/** Save a Blob through a temporary <a download>. */
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** draw() body while recording: progressive trails + labels; also drives segment changes. */
+function drawVideoExportFrame() {
+  const exp = videoExport;
+  const seg = exp.segments[exp.idx];
+  if (!seg) return;                                  // Last segment done; waiting for the recorder to stop
+  const now = vid.time();
+
+  for (const i of seg.reps) {
+    const rep = trails[i];
+    if (!rep || !rep.points.length) continue;
+    const { t0, t1 } = repTimeSpan(rep);
+    if (now < t0 || now > t1 + EXPORT_HOLD_S) continue;     // Not on screen yet / already gone
+    drawRepProgress(rep, i, now);
+  }
+
+  if (!exp.seeking && now >= seg.end) nextExportSegment();
+}
+
+/** Trail up to time `now`, then the peak marker and a metric label once reached. */
+function drawRepProgress(rep, i, now) {
+  const shown = rep.points.filter((p) => p.t <= now);
+  push();
+  noFill();
+  strokeWeight(4);
+  stroke(rep.color[0], rep.color[1], rep.color[2]);
+  drawSmoothPath(shown);
+
+  // Nearest point in time: a peak taken from the second camera falls between these samples
+  const peak = rep.peakT != null && now >= rep.peakT
+    ? rep.points.reduce((a, p) => (Math.abs(p.t - rep.peakT) < Math.abs(a.t - rep.peakT) ? p : a))
+    : null;
+  if (peak) {
+    stroke(255); strokeWeight(2);
+    fill(rep.color[0], rep.color[1], rep.color[2]);
+    circle(peak.x, peak.y, 12);
+  }
+
+  const last = shown[shown.length - 1];
+  if (last) {
+    const parts = [`Rep ${i + 1}`];
+    if (rep.peakM != null && peak) parts.push(`peak ${rep.peakM.toFixed(2)} m (${rep.aboveNetCM >= 0 ? '+' : ''}${rep.aboveNetCM} cm)`);
+    if (rep.widthM != null && now >= repTimeSpan(rep).t1) parts.push(`width ${rep.direction} ${rep.widthM.toFixed(2)} m`);
+    const label = parts.join(' · ');
+    textSize(16);
+    const w = textWidth(label) + 16;
+    const x = constrain(last.x + 12, 0, width - w), y = constrain(last.y - 34, 0, height - 26);
+    noStroke();
+    fill(0, 170);
+    rect(x, y, w, 26, 6);
+    fill(255);
+    textAlign(LEFT, CENTER);
+    text(label, x + 8, y + 13);
+  }
+  pop();
+}
+
+// ------------------------------ Athlete history (IndexedDB) --------------------
+
+/**
+ * Saved sessions live in IndexedDB as
+ *   { id, athlete, date: 'YYYY-MM-DD', savedAt, video, summary, session }
+ * where session is the same document “Save session” writes. The history view
+ * charts the per-session summaries over time and drills down into the stats
+ * table of any one session.
+ */
+let historyPanel, historyAthleteSelect, historyCharts, historyList, historyDetail;
+
+/** Open (and create/upgrade) the history database. */
+function openHistoryDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(HISTORY_DB, 1);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('athlete', 'athlete');
+      store.createIndex('date', 'date');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** Run fn(store) in a transaction; resolves with fn’s request result (if any). */
+function historyTx(mode, fn) {
+  return openHistoryDB().then((db) => new Promise((resolve, reject) => {
+    const tx = db.transaction(HISTORY_STORE, mode);
+    const req = fn(tx.objectStore(HISTORY_STORE));
+    tx.oncomplete = () => { db.close(); resolve(req ? req.result : undefined); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+    tx.onabort = () => { db.close(); reject(tx.error || new Error('Transaction aborted')); }; // Quota errors abort with no error event
+  }));
+}
+
+function allHistoryRecords() {
+  return historyTx('readonly', (store) => store.getAll());
+}
+
+/** Per-session numbers the history charts need (from a session document’s reps). */
+function sessionSummary(doc) {
+  const reps = doc.reps || [];
+  const peak = summaryStats(reps.map((r) => r.peakM));
+  const widthS = summaryStats(reps.map((r) => r.widthM));
+  return {
+    repCount: reps.length,
+    avgPeakM: peak.average,
+    bestPeakM: peak.best,
+    avgWidthM: widthS.average,
+    widthSdM: widthS.sd,
+    right: reps.filter((r) => r.direction === '→').length,
+    left: reps.filter((r) => r.direction === '←').length,
+  };
+}
+
+/** The only setter tagged today, else the last athlete name used. */
+function guessAthleteName() {
+  const setters = [...new Set(trails.map((r) => r.tags && r.tags.setter).filter(Boolean))];
+  return setters.length === 1 ? setters[0] : (localStorage.getItem(LAST_ATHLETE_KEY) || '');
+}
+
+/** Ask for athlete + date and store the current session. */
+function saveSessionToHistory() {
+  const athlete = (prompt('Athlete name for this session:', guessAthleteName()) || '').trim();
+  if (!athlete) return;
+  const date = (prompt('Session date (YYYY-MM-DD):', new Date().toISOString().slice(0, 10)) || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) { alert('Please use the YYYY-MM-DD date format.'); return; }
+  localStorage.setItem(LAST_ATHLETE_KEY, athlete);
+
+  const session = serializeSession();
+  const record = { athlete, date, savedAt: session.savedAt, video: videoName, summary: sessionSummary(session), session };
+  historyTx('readwrite', (store) => store.add(record))
+    .then(() => { alert(`Saved to ${athlete}’s history.`); if (historyPanel.style('display') !== 'none') refreshHistoryPanel(); })
+    .catch((err) => { console.error('HISTORY SAVE ERROR', err); alert(`Could not save to history: ${err.message}`); });
+}
+
+/** Toggle button in the video bar + the (hidden) history panel. */
+function createHistoryPanel() {
+  const btn = createButton('📈 History');
+  styleButton(btn);
+  btn.parent(videoBar);
+  btn.mousePressed(() => {
+    const open = historyPanel.style('display') === 'none';
+    historyPanel.style('display', open ? 'block' : 'none');
+    if (open) refreshHistoryPanel();
+  });
+
+  historyPanel = createDiv('');
+  historyPanel.style('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
+  historyPanel.style('margin', '8px 0 0 0');
+  historyPanel.style('padding', '12px');
+  historyPanel.style('border-radius', '10px');
+  historyPanel.style('background', '#111');
+  historyPanel.style('color', '#fff');
+  historyPanel.style('display', 'none');
+
+  const head = createDiv('');
+  head.parent(historyPanel);
+  head.style('display', 'flex');
+  head.style('gap', '10px');
+  head.style('align-items', 'center');
+  head.style('flex-wrap', 'wrap');
+  createSpan('<b>ATHLETE HISTORY</b>').parent(head);
+  historyAthleteSelect = createSelect();
+  historyAthleteSelect.parent(head);
+  historyAthleteSelect.changed(refreshHistoryPanel);
+
+  const btnExport = createButton('⬇ Export history');
+  styleButton(btnExport);
+  btnExport.parent(head);
+  btnExport.mousePressed(exportHistoryStore);
+  const label = createElement('label', '⬆ Import history ');
+  label.parent(head);
+  const input = createFileInput(importHistoryStore);
+  input.attribute('accept', 'application/json,.json');
+  input.parent(label);
+
+  historyCharts = createDiv('');
+  historyCharts.parent(historyPanel);
+  historyCharts.style('display', 'flex');
+  historyCharts.style('flex-wrap', 'wrap');
+  historyCharts.style('gap', '12px');
+  historyCharts.style('margin', '12px 0');
+  historyList = createDiv('');
+  historyList.parent(historyPanel);
+  historyDetail = createDiv('');
+  historyDetail.parent(historyPanel);
+  historyDetail.style('margin-top', '12px');
+}
+
+/** Reload records, rebuild the athlete list, charts and session list. */
+function refreshHistoryPanel() {
+  allHistoryRecords().then((records) => {
+    const athletes = [...new Set(records.map((r) => r.athlete))].sort();
+    const prev = historyAthleteSelect.value() || localStorage.getItem(LAST_ATHLETE_KEY);
+    historyAthleteSelect.html('');
+    if (!athletes.length) historyAthleteSelect.option('No saved sessions yet', '');
+    for (const a of athletes) historyAthleteSelect.option(a);
+    const athlete = athletes.includes(prev) ? prev : athletes[0];
+    if (athlete) historyAthleteSelect.selected(athlete);
+
+    const mine = records
+      .filter((r) => r.athlete === athlete)
+      .sort((a, b) => (a.date + a.savedAt).localeCompare(b.date + b.savedAt));
+    renderHistoryCharts(mine);
+    renderHistoryList(mine);
+    historyDetail.html('');
+  }).catch((err) => {
+    console.error('HISTORY LOAD ERROR', err);
+    historyList.html(`Could not open the history store: ${escapeHTML(err.message)}`);
+  });
+}
+
+/** Progress charts: peak (avg/best), width (avg ± SD), direction split and rep count per session. */
+function renderHistoryCharts(records) {
+  if (!records.length) { historyCharts.html(''); return; }
+  const labels = records.map((r) => r.date.slice(5));                 // MM-DD
+  const sm = records.map((r) => r.summary);
+  historyCharts.html([
+    svgChart('Peak height (m)', labels, [
+      { name: 'average', color: '#00beff', values: sm.map((x) => x.avgPeakM) },
+      { name: 'best', color: '#ffdc00', values: sm.map((x) => x.bestPeakM) },
+    ]),
+    svgChart('Width (m)', labels, [
+      { name: 'average', color: '#50dca0', values: sm.map((x) => x.avgWidthM) },
+      { name: 'SD (consistency)', color: '#ff6464', values: sm.map((x) => x.widthSdM) },
+    ]),
+    svgChart('Direction split (reps)', labels, [
+      { name: '→ right', color: '#ffa000', values: sm.map((x) => x.right) },
+      { name: '← left', color: '#b478ff', values: sm.map((x) => x.left) },
+    ], 'bar'),
+    svgChart('Reps per session', labels, [
+      { name: 'reps', color: '#ffffff', values: sm.map((x) => x.repCount) },
+    ], 'bar'),
+  ].join(''));
+}
+
+/**
+ * Small inline SVG chart (kept as a string like the stats table).
+ * series = [{ name, color, values }]; type 'line' or 'bar' (bars side by side).
+ */
+function svgChart(title, labels, series, type = 'line') {
+  const W = 300, H = 170, L = 36, R = 8, T = 24, B = 34;
+  const all = series.flatMap((sr) => sr.values).filter((v) => v != null && isFinite(v));
+  if (!all.length) return '';                                         // Nothing measurable yet
+  const lo = type === 'bar' ? 0 : Math.min(...all), hi = Math.max(...all);
+  const span = hi - lo || 1;
+  const n = labels.length;
+  const xAt = (i) => L + (n === 1 ? (W - L - R) / 2 : (i * (W - L - R)) / (n - 1));
+  const yAt = (v) => T + (H - T - B) * (1 - (v - lo) / span);
+
+  let body = '';
+  if (type === 'bar') {
+    const slot = (W - L - R) / n, bw = Math.max(2, (slot * 0.8) / series.length);
+    series.forEach((sr, k) => sr.values.forEach((v, i) => {
+      if (v == null) return;
+      const x = L + i * slot + slot * 0.1 + k * bw;
+      body += `<rect x="${x.toFixed(1)}" y="${yAt(v).toFixed(1)}" width="${bw.toFixed(1)}" height="${(H - B - yAt(v)).toFixed(1)}" fill="${sr.color}"><title>${escapeHTML(sr.name)}: ${v}</title></rect>`;
+    }));
+  } else {
+    for (const sr of series) {
+      const pts = sr.values.map((v, i) => (v == null ? null : `${xAt(i).toFixed(1)},${yAt(v).toFixed(1)}`)).filter(Boolean);
+      body += `<polyline points="${pts.join(' ')}" fill="none" stroke="${sr.color}" stroke-width="2"/>`;
+      sr.values.forEach((v, i) => {
+        if (v != null) body += `<circle cx="${xAt(i).toFixed(1)}" cy="${yAt(v).toFixed(1)}" r="3" fill="${sr.color}"><title>${escapeHTML(sr.name)}: ${v.toFixed(2)}</title></circle>`;
+      });
+    }
+  }
+
+  const xLabels = labels.map((lb, i) => {
+    const x = type === 'bar' ? L + ((i + 0.5) * (W - L - R)) / n : xAt(i);
+    return `<text x="${x.toFixed(1)}" y="${H - B + 14}" font-size="10" fill="#aaa" text-anchor="middle">${escapeHTML(lb)}</text>`;
+  }).join('');
+  const legend = series.map((sr, k) =>
+    `<text x="${L + k * 110}" y="${H - 4}" font-size="10" fill="${sr.color}">■ ${escapeHTML(sr.name)}</text>`).join('');
+
+  return `
+    <svg width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" style="background:#181818; border-radius:8px">
+      <text x="${L}" y="15" font-size="12" font-weight="600" fill="#fff">${escapeHTML(title)}</text>
+      <text x="${L - 4}" y="${T + 4}" font-size="10" fill="#aaa" text-anchor="end">${(+hi.toFixed(2))}</text>
+      <text x="${L - 4}" y="${H - B}" font-size="10" fill="#aaa" text-anchor="end">${(+lo.toFixed(2))}</text>
+      <line x1="${L}" y1="${H - B}" x2="${W - R}" y2="${H - B}" stroke="#444"/>
+      ${body}${xLabels}${legend}
+    </svg>`;
+}
+
+/** One row per stored session with View / Delete. */
+function renderHistoryList(records) {
+  historyList.html('');
+  if (!records.length) { historyList.html('<div style="color:#aaa">Use “📚 Save to history” on the end screen to start tracking progress.</div>'); return; }
+  for (const r of [...records].reverse()) {
+    const row = createDiv('');
+    row.parent(historyList);
+    row.style('display', 'flex');
+    row.style('gap', '10px');
+    row.style('align-items', 'center');
+    row.style('padding', '6px 0');
+    row.style('border-top', '1px solid #2a2a2a');
+    const sm = r.summary;
+    createSpan(`<b>${escapeHTML(r.date)}</b> · ${escapeHTML(r.video || '')} · ${sm.repCount} reps · ` +
+      `avg peak ${sm.avgPeakM != null ? sm.avgPeakM.toFixed(2) + ' m' : '—'}`).parent(row);
+    const view = createButton('View');
+    const del = createButton('Delete');
+    [view, del].forEach((b) => { styleButton(b); b.style('padding', '4px 10px'); b.parent(row); });
+    view.mousePressed(() => showHistorySession(r));
+    del.mousePressed(() => {
+      if (!confirm(`Delete the ${r.date} session from ${r.athlete}’s history?`)) return;
+      historyTx('readwrite', (store) => store.delete(r.id))
+        .then(refreshHistoryPanel)
+        .catch((err) => {
+          console.error('HISTORY DELETE ERROR', err);
+          alert(`Could not delete the session: ${err.message}`);
+        });
+    });
+  }
+}
+
+/** Drill-down: the same stats table as the end screen, for a stored session. */
+function showHistorySession(record) {
+  const doc = migrateSession(record.session);
+  const { net: n } = VVMetrics.sessionCalibration(doc);
+  const net = { label: netPresetLabel(n.presetId), heightM: n.heightM, widthM: n.widthM };
+  const entries = (doc.reps || []).map((rep, index) => ({ rep, index }));
+  historyDetail.html(statsTableHTML(entries, net, `${record.athlete} · ${record.date} · ${record.video || ''}`));
+}
+
+/** Download every stored session as one JSON file. */
+function exportHistoryStore() {
+  allHistoryRecords().then((records) => {
+    saveJSON({
+      app: 'VolleyVision',
+      kind: 'history',
+      exportedAt: new Date().toISOString(),
+      records: records.map(({ id, ...rest }) => rest),   // ids are per-browser
+    }, 'volleyvision_history.json', false);
+  }).catch((err) => {
+    console.error('HISTORY EXPORT ERROR', err);
+    alert(`Could not export history: ${err.message}`);
+  });
+}
+
+/** A record from a history file with its summary rebuilt from the session (the charts rely on it), or null. */
+function importableRecord(r) {
+  if (!r || !r.athlete || !r.date || !r.session) return null;
+  try {
+    return Object.assign({}, r, { summary: sessionSummary(migrateSession(r.session)) });
+  } catch (err) {
+    return null;                         // e.g. a session from a newer app version
+  }
+}
+
+/** Merge an exported history file into this browser’s store (duplicates skipped). */
+function importHistoryStore(f) {
+  if (!f || !f.file) return;
+  Promise.all([f.file.text(), allHistoryRecords()])
+    .then(([txt, existing]) => {
+      const doc = JSON.parse(txt);
+      if (!doc || doc.kind !== 'history' || !Array.isArray(doc.records)) throw new Error('Not a VolleyVision history file');
+      const seen = new Set(existing.map((r) => `${r.athlete}|${r.date}|${r.savedAt}`));
+      const valid = doc.records.map(importableRecord).filter(Boolean);
+      const fresh = valid.filter((r) => !seen.has(`${r.athlete}|${r.date}|${r.savedAt}`));
+      const skipped = doc.records.length - valid.length;
+      return historyTx('readwrite', (store) => { fresh.forEach((r) => store.add(r)); })
+        .then(() => {
+          alert(`Imported ${fresh.length} session(s); ${valid.length - fresh.length} already present` +
+            (skipped ? `; ${skipped} unreadable record(s) skipped.` : '.'));
+          refreshHistoryPanel();
+        });
+    })
+    .catch((err) => {
+      console.error('HISTORY IMPORT ERROR', err);
+      alert(`Could not import history: ${err.message}`);
+    });
+}
+
+// ------------------------------ Target zones -----------------------------------
+
+/**
+ * Coaches define target contact windows in net-plane metres. Each rep’s last
+ * point (the hitter contact) is scored against the zone whose `location`
+ * matches the rep’s location tag, otherwise against the nearest zone.
+ */
+let zones = loadStoredZones();  // Active zone definitions (see DEFAULT_ZONES)
+let showZones = true;           // Draw the zone overlay
+let zonePanel, zoneRows;
+
+function loadStoredZones() {
+  try {
+    const z = JSON.parse(localStorage.getItem(ZONES_KEY));
+    if (Array.isArray(z)) return z;
+  } catch (err) { /* fall through to defaults */ }
+  return DEFAULT_ZONES.map((z) => Object.assign({}, z));
+}
+
+/**
+ * Replace the zones and rescore every rep. Edits are remembered for next time;
+ * a session file’s zones (persist = false) apply to that session only.
+ */
+function setZones(list, persist = true) {
+  zones = list.map((z) => Object.assign({}, z));
+  if (persist) {
+    try { localStorage.setItem(ZONES_KEY, JSON.stringify(zones)); } catch (err) { /* storage off */ }
+  }
+  computeAllRepMetrics();
+  if (showAllAtEnd) renderStatsTable();
+  if (zoneRows) renderZoneRows();
+}
+
+/** Zone rectangle in net-plane metres for the active net: { x0, x1, y0, y1, cx, cy }. */
+function zoneRect(z) {
+  return VVMetrics.zoneRect(z, currentNetInfo());
+}
+
+/** Translucent zone rectangles (mapped through the homography) with their names. */
+function drawZones() {
+  if (!showZones || !homographyInv) return;
+  push();
+  for (const z of zones) {
+    const r = zoneRect(z);
+    const corners = [[r.x0, r.y0], [r.x1, r.y0], [r.x1, r.y1], [r.x0, r.y1]].map(([X, Y]) => fromNetPlane(X, Y));
+    if (corners.some((c) => !c)) continue;
+    fill(80, 220, 160, 45);
+    stroke(80, 220, 160, 200);
+    strokeWeight(1.5);
+    beginShape();
+    for (const c of corners) vertex(c.x, c.y);
+    endShape(CLOSE);
+    noStroke();
+    fill(80, 220, 160);
+    textSize(11);
+    textAlign(LEFT, BOTTOM);
+    text(z.name, corners[3].x + 3, corners[3].y - 2);
+  }
+  pop();
+}
+
+/** “🎯 Zones” toggle in the video bar + editor panel. */
+function createZonePanel() {
+  const btn = createButton('🎯 Zones');
+  styleButton(btn);
+  btn.parent(videoBar);
+  btn.mousePressed(() => zonePanel.style('display', zonePanel.style('display') === 'none' ? 'block' : 'none'));
+
+  zonePanel = createDiv('');
+  zonePanel.style('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
+  zonePanel.style('margin', '8px 0 0 0');
+  zonePanel.style('padding', '10px 12px');
+  zonePanel.style('border-radius', '10px');
+  zonePanel.style('background', '#f1f1f1');
+  zonePanel.style('display', 'none');
+
+  const head = createDiv('<b>Target zones</b> (metres; distance is inwards from the chosen antenna, band is above the tape) ');
+  head.parent(zonePanel);
+  const show = createCheckbox('Show on video', showZones);
+  show.parent(head);
+  show.changed(() => { showZones = show.checked(); });
+
+  zoneRows = createDiv('');
+  zoneRows.parent(zonePanel);
+
+  const btnAdd = createButton('＋ Add zone');
+  const btnReset = createButton('Reset to defaults');
+  [btnAdd, btnReset].forEach((b) => { styleButton(b); b.style('padding', '6px 10px'); b.style('margin', '6px 6px 0 0'); b.parent(zonePanel); });
+  btnAdd.mousePressed(() => setZones(zones.concat([Object.assign({}, DEFAULT_ZONES[0], { name: `Zone ${zones.length + 1}` })])));
+  btnReset.mousePressed(() => setZones(DEFAULT_ZONES));
+  renderZoneRows();
+}
+
+/** One editable row per zone. */
+function renderZoneRows() {
+  zoneRows.html('');
+  const locOptions = TAG_FIELDS.find((f) => f.key === 'location').options;
+  zones.forEach((z, i) => {
+    const row = createDiv('');
+    row.parent(zoneRows);
+    row.style('display', 'flex');
+    row.style('gap', '6px');
+    row.style('align-items', 'center');
+    row.style('margin-top', '6px');
+    row.style('flex-wrap', 'wrap');
+
+    const update = (patch) => setZones(zones.map((zz, j) => {
+      if (j !== i) return zz;
+      const nz = Object.assign({}, zz, patch);
+      if (nz.minAboveM > nz.maxAboveM) [nz.minAboveM, nz.maxAboveM] = [nz.maxAboveM, nz.minAboveM]; // Typed the wrong way round
+      return nz;
+    }));
+    const name = createInput(z.name);
+    name.parent(row);
+    name.style('width', '120px');
+    name.changed(() => update({ name: name.value() }));
+
+    const side = createSelect();
+    side.parent(row);
+    side.option('left antenna', 'left');
+    side.option('right antenna', 'right');
+    side.selected(z.side);
+    side.changed(() => update({ side: side.value() }));
+
+    for (const [key, label] of [['fromAntennaM', 'from antenna'], ['widthM', 'width'], ['minAboveM', 'above net from'], ['maxAboveM', 'to']]) {
+      createSpan(label).parent(row);
+      const inp = createInput(String(z[key]), 'number');
+      inp.parent(row);
+      inp.attribute('step', '0.05');
+      inp.style('width', '60px');
+      inp.changed(() => { const v = parseFloat(inp.value()); if (isFinite(v)) update({ [key]: v }); });
+    }
+
+    createSpan('for location').parent(row);
+    const loc = createSelect();
+    loc.parent(row);
+    loc.option('any (nearest)', '');
+    for (const o of locOptions) loc.option(o);
+    loc.selected(z.location || '');
+    loc.changed(() => update({ location: loc.value() || null }));
+
+    const del = createButton('✖');
+    del.parent(row);
+    del.mousePressed(() => setZones(zones.filter((zz, j) => j !== i)));
+  });
+}
+
+// ------------------------------ End-screen views -------------------------------
+
+/**
+ * With a dozen reps the overlaid trails get unreadable, so the end screen can
+ * switch to: contact/apex scatter in net-plane metres, a point-density
+ * heatmap over the frame, or a side profile (height vs distance travelled)
+ * with every rep starting at 0. All respect the tag filters; the snapshot
+ * button saves whichever view is showing.
+ */
+let heatmapCache = { key: '', grid: null, cols: 0, rows: 0, max: 0 };
+
+function drawEndView(view) {
+  if (view === 'heatmap') { drawHeatmapView(); return; }
+  if (!homography) { centerMsg('This view needs a valid calibration'); return; }
+  if (view === 'scatter') drawScatterView();
+  else if (view === 'side') drawSideView();
+}
+
+/**
+ * Dark chart background with axes and a metre grid. Returns a mapper
+ * (X, Y in metres) → canvas px. Leaves room at the bottom for the HUD.
+ */
+function chartFrame(xMin, xMax, yMin, yMax, title, xLabel, yLabel) {
+  const L = 60, R = 24, T = 48, B = 64;
+  const sx = (width - L - R) / (xMax - xMin), sy = (height - T - B) / (yMax - yMin);
+  const map = (X, Y) => ({ x: L + (X - xMin) * sx, y: height - B - (Y - yMin) * sy });
+
+  push();
+  noStroke();
+  fill(17);
+  rect(0, 0, width, height);
+  stroke(50); strokeWeight(1);
+  for (let X = Math.ceil(xMin); X <= xMax; X++) { const a = map(X, yMin), b = map(X, yMax); line(a.x, a.y, b.x, b.y); }
+  for (let Y = Math.ceil(yMin); Y <= yMax; Y++) { const a = map(xMin, Y), b = map(xMax, Y); line(a.x, a.y, b.x, b.y); }
+  noStroke(); fill(170); textSize(11);
+  textAlign(CENTER, TOP);
+  for (let X = Math.ceil(xMin); X <= xMax; X++) text(X, map(X, yMin).x, map(X, yMin).y + 4);
+  textAlign(RIGHT, CENTER);
+  for (let Y = Math.ceil(yMin); Y <= yMax; Y++) text(Y, L - 6, map(xMin, Y).y);
+  textAlign(CENTER, TOP);
+  text(xLabel, L + (width - L - R) / 2, height - B + 20);
+  push(); translate(16, T + (height - T - B) / 2); rotate(-HALF_PI); text(yLabel, 0, 0); pop();
+  fill(255); textSize(16); textAlign(LEFT, TOP);
+  text(title, L, 14);
+  pop();
+  return map;
+}
+
+/** Apex of a rep in net-plane metres: fitted apex when plausible, else the highest click. */
+function repApexPlane(rep) {
+  const f = rep.fit;
+  if (f && f.quality !== 'bad' && f.timeToApexS > 0 && f.timeToApexS < f.hangTimeS) {
+    return { x: f.x0 + f.vx * f.timeToApexS, y: f.apexM };
+  }
+  let best = null;
+  for (const p of rep.points) {
+    const P = toNetPlane(p.x, p.y);
+    if (P && (!best || P.y > best.y)) best = P;
+  }
+  return best;
+}
+
+/** Hitter contacts (●) and apexes (▲) of every visible rep in net-plane metres. */
+function drawScatterView() {
+  const reps = visibleReps().map((e) => e.rep).filter((r) => r.points.length);
+  const pts = reps.map((r) => ({
+    rep: r,
+    contact: toNetPlane(r.points[r.points.length - 1].x, r.points[r.points.length - 1].y),
+    apex: repApexPlane(r),
+  }));
+  const ys = pts.flatMap((p) => [p.contact, p.apex]).filter(Boolean).map((P) => P.y);
+  const yMax = Math.max(netHeightM + 2, ...ys) + 0.5;
+  const map = chartFrame(-1, netWidthM + 1, 0, yMax, 'Contacts (●) and apexes (▲) — net plane', 'metres from left antenna', 'height (m)');
+
+  push();
+  // Net: tape line between the antennae plus the antennae themselves
+  stroke(255); strokeWeight(3);
+  let a = map(0, netHeightM), b = map(netWidthM, netHeightM);
+  line(a.x, a.y, b.x, b.y);
+  stroke(255, 80, 80); strokeWeight(2);
+  for (const X of [0, netWidthM]) { a = map(X, 0); b = map(X, netHeightM + 0.8); line(a.x, a.y, b.x, b.y); }
+
+  for (const z of zones) {                                  // Zones for reference
+    const r = zoneRect(z), p0 = map(r.x0, r.y1), p1 = map(r.x1, r.y0);
+    noStroke(); fill(80, 220, 160, 50);
+    rect(p0.x, p0.y, p1.x - p0.x, p1.y - p0.y);
+  }
+
+  for (const { rep, contact, apex } of pts) {
+    fill(rep.color[0], rep.color[1], rep.color[2]);
+    stroke(0); strokeWeight(1);
+    if (contact) { const c = map(contact.x, contact.y); circle(c.x, c.y, 12); }
+    if (apex) { const c = map(apex.x, apex.y); triangle(c.x, c.y - 8, c.x - 7, c.y + 5, c.x + 7, c.y + 5); }
+  }
+  pop();
+}
+
+/** Gaussian point density over the (dimmed) video frame. */
+function drawHeatmapView() {
+  const reps = visibleReps().map((e) => e.rep);
+  const pts = reps.flatMap((r) => r.points);
+  const key = `${width}x${height}:` + pts.map((p) => `${p.x | 0},${p.y | 0}`).join(';');
+  if (heatmapCache.key !== key) heatmapCache = buildHeatmap(pts, key);
+
+  push();
+  noStroke();
+  fill(0, 150);
+  rect(0, 0, width, height);
+  const { grid, cols, rows, max } = heatmapCache;
+  colorMode(HSB, 360, 100, 100, 100);
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < cols; i++) {
+      const v = grid[j * cols + i] / (max || 1);
+      if (v < 0.03) continue;
+      fill(240 - 240 * v, 90, 100, 20 + 60 * v);              // Blue (sparse) → red (dense)
+      rect(i * HEATMAP_CELL, j * HEATMAP_CELL, HEATMAP_CELL, HEATMAP_CELL);
+    }
+  }
+  colorMode(RGB, 255);
+  fill(255); textSize(16); textAlign(LEFT, TOP);
+  text(`Point density — ${pts.length} points from ${reps.length} reps`, 12, 14);
+  pop();
+}
+
+function buildHeatmap(pts, key) {
+  const cols = Math.ceil(width / HEATMAP_CELL), rows = Math.ceil(height / HEATMAP_CELL);
+  const grid = new Float32Array(cols * rows);
+  const reach = Math.ceil((HEATMAP_SIGMA * 3) / HEATMAP_CELL);
+  const k = 1 / (2 * HEATMAP_SIGMA * HEATMAP_SIGMA);
+  for (const p of pts) {
+    const ci = Math.floor(p.x / HEATMAP_CELL), cj = Math.floor(p.y / HEATMAP_CELL);
+    for (let j = Math.max(0, cj - reach); j <= Math.min(rows - 1, cj + reach); j++) {
+      for (let i = Math.max(0, ci - reach); i <= Math.min(cols - 1, ci + reach); i++) {
+        const dx = (i + 0.5) * HEATMAP_CELL - p.x, dy = (j + 0.5) * HEATMAP_CELL - p.y;
+        grid[j * cols + i] += Math.exp(-(dx * dx + dy * dy) * k);
+      }
+    }
+  }
+  return { key, grid, cols, rows, max: grid.reduce((a, b) => Math.max(a, b), 0) };
+}
+
+/** Height vs horizontal distance from each rep’s first point (all reps start at 0). */
+function drawSideView() {
+  const series = visibleReps().map((e) => e.rep).map((rep) => {
+    const plane = rep.points.map((p) => toNetPlane(p.x, p.y)).filter(Boolean);
+    if (plane.length < 2) return null;
+    const x0 = plane[0].x;
+    return { rep, pts: plane.map((P) => ({ d: Math.abs(P.x - x0), y: P.y })) };
+  }).filter(Boolean);
+
+  const dMax = Math.max(netWidthM / 2, ...series.flatMap((sr) => sr.pts.map((p) => p.d))) + 0.5;
+  const yMax = Math.max(netHeightM + 2, ...series.flatMap((sr) => sr.pts.map((p) => p.y))) + 0.5;
+  const map = chartFrame(0, dMax, 0, yMax, 'Side profile — height vs distance from set contact', 'horizontal distance (m)', 'height (m)');
+
+  push();
+  stroke(255, 255, 255, 120); strokeWeight(1);
+  drawingContext.setLineDash([4, 4]);
+  const a = map(0, netHeightM), b = map(dMax, netHeightM);
+  line(a.x, a.y, b.x, b.y);                                 // Net height reference
+  drawingContext.setLineDash([]);
+  noStroke(); fill(200); textSize(11); textAlign(RIGHT, BOTTOM);
+  text(`net ${netHeightM.toFixed(2)} m`, b.x, b.y - 2);
+
+  noFill(); strokeWeight(3);
+  for (const { rep, pts } of series) {
+    stroke(rep.color[0], rep.color[1], rep.color[2]);
+    beginShape();
+    for (const p of pts) { const c = map(p.d, p.y); vertex(c.x, c.y); }
+    endShape();
+  }
+  pop();
+}
+
+// ------------------------------ Multi-camera -----------------------------------
+
+/**
+ * A second clip of the same sets (e.g. filmed from the side) can be opened next
+ * to the first. Each camera keeps its own video, frame rate and net calibration;
+ * the globals (vid, calibPts, homography, …) always describe the camera on
+ * screen and switching views swaps them with the copy stored in cameras.
+ * Rep points work the same way: rep.points are the on-screen camera’s clicks
+ * (its canvas pixels, its clip time) and rep.otherPoints the other camera’s.
+ * The clocks are linked by syncOffsetS: camera B time = camera A time + offset.
+ */
+let cameras = [];               // [] = single camera, else [A, B] (state of the camera not on screen)
+let activeCam = 0;              // Index into cameras of the view on screen
+let syncOffsetS = 0;            // Seconds to add to camera A’s clip time to get camera B’s
+let syncMarks = [null, null];   // Clip time of the shared sync event marked in each view
+let pendingSecondCamera = null; // Second-camera settings from a loaded session, used when that clip is opened
+let cameraPanel, cameraStatus, syncOffsetInput;
+let cameraButtons = [], cameraRoleSelects = [];
+
+/** Copy the on-screen camera’s globals into its cameras entry. */
+function stashActiveCamera() {
+  Object.assign(cameras[activeCam], {
+    vid, videoName, ready, warmed, detectedFps, fpsOverride, motionScan,
+    calibStep, calibPts, pixelsPerMeter, topLine, homography, homographyInv, calibError, calibFrame,
+  });
+}
+
+/** Load camera i’s stored state into the globals and swap every rep’s point lists to its view. */
+function loadCameraState(i) {
+  ({
+    vid, videoName, ready, warmed, detectedFps, fpsOverride, motionScan,
+    calibStep, calibPts, pixelsPerMeter, topLine, homography, homographyInv, calibError, calibFrame,
+  } = cameras[i]);
+  for (const rep of [...trails, current]) [rep.points, rep.otherPoints] = [rep.otherPoints || [], rep.points];
+  activeCam = i;
+}
+
+/** Run fn with camera i’s video, calibration and points in the globals, then swap back. */
+function withCamera(i, fn) {
+  if (i === activeCam || !cameras[i]) return fn();
+  const back = activeCam;
+  stashActiveCamera();
+  loadCameraState(i);
+  try {
+    return fn();
+  } finally {
+    stashActiveCamera();
+    loadCameraState(back);
+  }
+}
+
+/** Flag camera cam’s clip as decodable (the globals if it’s the one on screen). */
+function setCameraReady(cam) {
+  if (cam === activeCam) ready = true;
+  else if (cameras[cam]) cameras[cam].ready = true;
+}
+
+/** Seconds camera i’s clip is ahead of camera A’s. */
+function cameraOffset(i) {
+  return i === 1 ? syncOffsetS : 0;
+}
+
+/** Convert clip time t of camera `from` into the same moment in camera `to`’s clip. */
+function linkTime(t, from, to) {
+  return t - cameraOffset(from) + cameraOffset(to);
+}
+
+/** e.g. “Cam B (Side)”. */
+function cameraLabel(i) {
+  const role = CAMERA_ROLES.find((r) => r.id === (cameras[i] && cameras[i].role));
+  return `Cam ${'AB'[i]}${role ? ` (${role.label})` : ''}`;
+}
+
+/** Show camera i, keeping the same moment on screen and the play/pause state. */
+function switchCamera(i) {
+  if (i === activeCam || !cameras[i] || tracking || videoExport) return;
+  const from = activeCam, t = vid.time(), playing = !vid.elt.paused, speed = vid.speed();
+  if (trackArmed || trackProposal) rejectTrack(); // Proposals are in the old view’s pixels
+  vid.pause();
+  stashActiveCamera();
+  loadCameraState(i);
+
+  const dur = vid.elt.duration;
+  vid.speed(speed);
+  vid.time(Math.max(0, isFinite(dur) ? Math.min(dur, linkTime(t, from, i)) : linkTime(t, from, i)));
+  if (playing) { const p = vid.play(); if (p && p.catch) p.catch(() => {}); }
+
+  dragPoint = null;
+  if (fpsInput) {
+    fpsInput.value(fpsOverride ? String(fpsOverride) : '');
+    fpsInput.attribute('placeholder', detectedFps ? `${+detectedFps.toFixed(2)} (auto)` : '');
+  }
+  fitCanvasToVideo();
+  computeAllRepMetrics();
+  renderTimeline();
+  if (showAllAtEnd) renderStatsTable();
+  updateCameraPanel();
+}
+
+/** p5 callback for the “2nd camera” file input. */
+function handleSecondCameraFile(f) {
+  if (!f || !f.file) return;
+  if (!isVideoFile(f.file)) {
+    console.warn('Not a video file:', f.name);
+    alert(`“${f.name}” is not a video file (MP4, WebM or MOV).`);
+    return;
+  }
+  openSecondCamera(URL.createObjectURL(f.file), f.file.name);
+}
+
+/** Add (or replace) camera B. Its calibration starts empty unless a loaded session saved one for this clip. */
+function openSecondCamera(url, name) {
+  if (cameras.length > 1) closeSecondCamera();
+  const v = createVideo(url);
+  v.attribute('playsinline', '');
+  v.attribute('muted', '');
+  v.volume(0);
+  v.hide();
+
+  cameras = [{ role: 'behind' }, { role: 'side', url }];
+  stashActiveCamera();                   // Camera A = everything loaded so far
+  Object.assign(cameras[1], {
+    vid: v, videoName: name, ready: false, warmed: false, detectedFps: null, fpsOverride: null, motionScan: null,
+    calibStep: 0, calibPts: { LB: null, LT: null, RB: null, RT: null },
+    pixelsPerMeter: null, topLine: null, homography: null, homographyInv: null, calibError: null, calibFrame: null,
+  });
+  wireVideoEvents(v, 1);
+  syncOffsetS = 0;
+  syncMarks = [null, null];
+
+  const saved = pendingSecondCamera && pendingSecondCamera.name === name ? pendingSecondCamera : null;
+  if (saved) {
+    applySecondCameraSettings(saved);    // Its points came in with the session’s reps
+  } else {
+    for (const rep of [...trails, current]) rep.otherPoints = [];
+  }
+  computeAllRepMetrics();
+  if (showAllAtEnd) renderStatsTable();
+  updateCameraPanel();
+}
+
+/** Restore roles, sync offset and camera B’s calibration from a session’s secondCamera block. */
+function applySecondCameraSettings(saved) {
+  if (saved.roleA) cameras[0].role = saved.roleA;
+  if (saved.role) cameras[1].role = saved.role;
+  if (isFinite(saved.offsetS)) syncOffsetS = saved.offsetS;
+  const { pts, step } = restoredCalibration(saved.calibration && saved.calibration.points);
+  withCamera(1, () => {
+    clearCalibration();
+    calibPts = pts;
+    calibStep = step;                    // Saved mid-calibration: carry on from the next click
+    if (calibStep === 4) finalizeCalibration();
+  });
+}
+
+/** Drop camera B and go back to a single-camera session (its points are discarded). */
+function closeSecondCamera() {
+  if (cameras.length < 2) return;
+  if (activeCam !== 0) switchCamera(0);
+  if (activeCam !== 0) return;           // Tracking or exporting — try again afterwards
+  const b = cameras[1];
+  b.vid.pause();
+  b.vid.remove();
+  if (b.url) URL.revokeObjectURL(b.url);
+  cameras = [];
+  syncMarks = [null, null];
+  pendingSecondCamera = null;
+  for (const rep of [...trails, current]) delete rep.otherPoints;
+  computeAllRepMetrics();
+  renderTimeline();
+  if (showAllAtEnd) renderStatsTable();
+  updateCameraPanel();
+}
+
+/**
+ * Keep the camera that isn’t on screen at the linked moment: paused and frame-
+ * matched while the main view is paused/stepping, playing along (re-seeking
+ * only after SYNC_DRIFT_S of drift) while it plays.
+ */
+function syncFollowerCamera() {
+  if (cameras.length < 2 || tracking) return;
+  const other = cameras[1 - activeCam];
+  const el = other.vid.elt;
+  if (!other.ready || el.seeking) return;
+  const target = linkTime(vid.time(), activeCam, 1 - activeCam);
+  const dur = isFinite(el.duration) ? el.duration : Infinity;
+  const inClip = target >= 0 && target < dur;
+
+  if (vid.elt.paused || !inClip) {
+    if (!el.paused) el.pause();
+    const t = Math.max(0, Math.min(dur, target));
+    const halfFrame = 0.5 / (other.fpsOverride || other.detectedFps || DEFAULT_FPS);
+    if (Math.abs(el.currentTime - t) > halfFrame) el.currentTime = t;
+    return;
+  }
+  if (el.playbackRate !== vid.elt.playbackRate) el.playbackRate = vid.elt.playbackRate;
+  if (Math.abs(el.currentTime - target) > SYNC_DRIFT_S) el.currentTime = target;
+  if (el.paused) { const p = el.play(); if (p && p.catch) p.catch(() => {}); }
+}
+
+/** Canvas rectangle of the other camera’s picture-in-picture, or null when it isn’t shown. */
+function cameraInsetRect() {
+  if (cameras.length < 2 || calibStep < 4) return null;
+  if (showAllAtEnd && endView !== 'trails') return null;
+  const size = canvasSizeFor(cameras[1 - activeCam].vid.elt);
+  if (!size) return null;
+  const w = Math.round(width * CAMERA_INSET_W), h = Math.round((w * size.h) / size.w);
+  return { x: width - w - 12, y: 64, w, h, scale: w / size.w };
+}
+
+/** The other camera’s frame in the top-right corner, with its points for the rep(s) on screen. */
+function drawCameraInset() {
+  const r = cameraInsetRect();
+  if (!r) return;
+  const other = cameras[1 - activeCam];
+  push();
+  image(other.vid, r.x, r.y, r.w, r.h);
+
+  const reps = showAllAtEnd ? (showTrails ? visibleReps().map((e) => e.rep) : []) : [current];
+  strokeWeight(2);
+  noFill();
+  for (const rep of reps) {
+    const pts = (rep.otherPoints || []).map((p) => ({ x: r.x + p.x * r.scale, y: r.y + p.y * r.scale }));
+    stroke(rep.color[0], rep.color[1], rep.color[2]);
+    drawSmoothPath(pts);
+  }
+
+  stroke(255);
+  rect(r.x, r.y, r.w, r.h);
+  noStroke();
+  fill(0, 180);
+  rect(r.x, r.y + r.h - 18, r.w, 18);
+  fill(255);
+  textSize(11);
+  textAlign(LEFT, BASELINE);
+  text(`${cameraLabel(1 - activeCam)} — click or ${shortcutKey('switchCamera')} to switch`, r.x + 6, r.y + r.h - 5);
+  pop();
+}
+
+/** True if (x, y) falls on the picture-in-picture. */
+function insetHit(x, y) {
+  const r = cameraInsetRect();
+  return !!r && x >= r.x && x <= r.x + r.w && y >= r.y && y <= r.y + r.h;
+}
+
+/**
+ * Height and width per rep from the camera that measures each best: height from
+ * the view with the smaller calibration error, width from a side view when
+ * there is one (it sees the net plane square-on). rep.sources records which.
+ * The rule itself is VVMetrics.combineCameraMetrics, shared with cli.js.
+ */
+function combineCameraMetrics() {
+  const other = 1 - activeCam;
+  const theirs = withCamera(other, () => trails.map((rep) => {
+    const m = { points: rep.points, tags: rep.tags };
+    computeRepMetrics(m);
+    return m;
+  }));
+  const errCM = (i) => {
+    const e = i === activeCam ? calibError : cameras[i].calibError;
+    return e ? e.cm : Infinity;
+  };
+  const isSide = (i) => (cameras[i].role === 'side' ? 1 : 0);
+
+  trails.forEach((rep, k) => {
+    Object.assign(rep, VVMetrics.combineCameraMetrics([
+      { cam: activeCam, m: rep, errCM: errCM(activeCam), side: isSide(activeCam) },
+      { cam: other, m: theirs[k], errCM: errCM(other), side: isSide(other) },
+    ], (t) => linkTime(t, other, activeCam)));
+  });
+}
+
+/** Mark the shared event (ball contact, clap…) at the current frame; two marks set the offset. */
+function markSyncHere() {
+  syncMarks[activeCam] = vid.time();
+  if (syncMarks[0] != null && syncMarks[1] != null) setSyncOffset(syncMarks[1] - syncMarks[0]);
+  updateCameraPanel();
+}
+
+function setSyncOffset(s) {
+  if (!isFinite(s)) return;
+  syncOffsetS = s;
+  if (syncOffsetInput && document.activeElement !== syncOffsetInput.elt) syncOffsetInput.value(s.toFixed(3));
+  computeAllRepMetrics();                // Peak times of B-measured reps move with the offset
+  renderTimeline();
+  if (showAllAtEnd) renderStatsTable();
+  autosaveSession();
+}
+
+/**
+ * Find the offset from the audio: decode both soundtracks, reduce each to a
+ * loudness-onset envelope and pick the lag (within ±SYNC_MAX_LAG_S) where the
+ * envelopes line up best — a clap or whistle on both clips dominates that.
+ */
+async function detectClapOffset() {
+  cameraStatus.html('👂 Listening for the clap…');
+  try {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    const ctx = new Ctx();
+    const envs = await Promise.all(cameras.map(async (c) => {
+      const data = await (await fetch(c.vid.elt.currentSrc)).arrayBuffer();
+      return onsetEnvelope(await ctx.decodeAudioData(data));
+    }));
+    ctx.close();
+    const lag = bestLag(envs[0], envs[1], SYNC_MAX_LAG_S * SYNC_ENVELOPE_HZ);
+    if (lag == null) throw new Error('no sound found in both clips');
+    setSyncOffset(lag / SYNC_ENVELOPE_HZ);
+    updateCameraPanel();
+    cameraStatus.html(`👏 Matched the audio: Cam B is ${syncOffsetS.toFixed(2)} s ahead`);
+  } catch (err) {
+    console.error('CLAP SYNC ERROR', err);
+    cameraStatus.html(`Clap detection failed (${escapeHTML(err.message)}) — mark the sync event by hand`);
+  }
+}
+
+/** Positive loudness changes at SYNC_ENVELOPE_HZ over the first SYNC_AUDIO_S of an AudioBuffer. */
+function onsetEnvelope(buffer) {
+  const data = buffer.getChannelData(0);
+  const hop = Math.max(1, Math.round(buffer.sampleRate / SYNC_ENVELOPE_HZ));
+  const n = Math.min(Math.floor(data.length / hop), SYNC_AUDIO_S * SYNC_ENVELOPE_HZ);
+  const env = new Float32Array(n);
+  let prev = 0;
+  for (let i = 0; i < n; i++) {
+    let sum = 0;
+    for (let j = i * hop; j < (i + 1) * hop; j++) sum += data[j] * data[j];
+    const rms = Math.sqrt(sum / hop);
+    env[i] = Math.max(0, rms - prev);    // Rises only: a clap is a sharp onset
+    prev = rms;
+  }
+  return env;
+}
+
+/** Lag (samples) that maximises Σ a[i]·b[i + lag] for |lag| ≤ maxLag, or null if nothing correlates. */
+function bestLag(a, b, maxLag) {
+  let best = null, bestScore = 0;
+  for (let lag = -maxLag; lag <= maxLag; lag++) {
+    let score = 0;
+    const i0 = Math.max(0, -lag), i1 = Math.min(a.length, b.length - lag);
+    for (let i = i0; i < i1; i++) score += a[i] * b[i + lag];
+    if (score > bestScore) { bestScore = score; best = lag; }
+  }
+  return best;
+}
+
+/** “2nd camera…” picker in the video bar, plus the panel shown once a second clip is open. */
+function createCameraPanel() {
+  const label = createElement('label', '🎥 2nd camera… ');
+  label.parent(videoBar);
+  const input = createFileInput(handleSecondCameraFile);
+  input.attribute('accept', 'video/mp4,video/webm,video/quicktime,.mp4,.webm,.mov');
+  input.parent(label);
+
+  cameraPanel = createDiv('');
+  cameraPanel.style('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
+  cameraPanel.style('margin', '8px 0 0 0');
+  cameraPanel.style('padding', '10px 12px');
+  cameraPanel.style('border-radius', '10px');
+  cameraPanel.style('background', '#f1f1f1');
+  cameraPanel.style('gap', '10px');
+  cameraPanel.style('align-items', 'center');
+  cameraPanel.style('flex-wrap', 'wrap');
+  cameraPanel.style('display', 'none');
+
+  for (const i of [0, 1]) {
+    const btn = createButton('');
+    styleButton(btn);
+    btn.parent(cameraPanel);
+    btn.mousePressed(() => switchCamera(i));
+    cameraButtons[i] = btn;
+
+    const sel = createSelect();
+    sel.parent(cameraPanel);
+    for (const r of CAMERA_ROLES) sel.option(r.label, r.id);
+    sel.changed(() => {
+      cameras[i].role = sel.value();
+      computeAllRepMetrics();            // Width follows the side camera
+      if (showAllAtEnd) renderStatsTable();
+      updateCameraPanel();
+    });
+    cameraRoleSelects[i] = sel;
+  }
+
+  const offsetLabel = createElement('label', 'Cam B offset (s) ');
+  offsetLabel.parent(cameraPanel);
+  syncOffsetInput = createInput('0.000', 'number');
+  syncOffsetInput.parent(offsetLabel);
+  syncOffsetInput.attribute('step', '0.001');
+  syncOffsetInput.style('width', '80px');
+  syncOffsetInput.input(() => setSyncOffset(parseFloat(syncOffsetInput.value())));
+
+  const nudges = [['−1 frame', -1], ['+1 frame', 1]].map(([txt, dir]) => {
+    const b = createButton(txt);
+    b.mousePressed(() => setSyncOffset(syncOffsetS + dir * frameDuration()));
+    return b;
+  });
+  const btnMark = createButton('📍 Sync event here');
+  btnMark.attribute('title', 'Pause both views on the same moment (e.g. a contact) and press this in each');
+  btnMark.mousePressed(markSyncHere);
+  const btnClap = createButton('👏 Detect clap');
+  btnClap.attribute('title', 'Line the clips up from their soundtracks (clap once in view of both cameras)');
+  btnClap.mousePressed(detectClapOffset);
+  const btnClose = createButton('✖ Close 2nd camera');
+  btnClose.mousePressed(() => {
+    if (confirm('Close the second camera? Its points are discarded.')) closeSecondCamera();
+  });
+  for (const b of [...nudges, btnMark, btnClap, btnClose]) {
+    styleButton(b);
+    b.parent(cameraPanel);
+  }
+
+  cameraStatus = createSpan('');
+  cameraStatus.parent(cameraPanel);
+}
+
+/** Refresh button labels, role pickers and sync status (after any camera change). */
+function updateCameraPanel() {
+  if (!cameraPanel) return;
+  cameraPanel.style('display', cameras.length > 1 ? 'flex' : 'none');
+  if (cameras.length < 2) return;
+  for (const i of [0, 1]) {
+    cameraButtons[i].html(`${i === activeCam ? '● ' : ''}${i === 0 ? 'Cam A' : 'Cam B'}`);
+    cameraButtons[i].style('font-weight', i === activeCam ? '700' : '400');
+    cameraRoleSelects[i].selected(cameras[i].role);
+  }
+  if (document.activeElement !== syncOffsetInput.elt) syncOffsetInput.value(syncOffsetS.toFixed(3));
+  const marks = syncMarks.map((m, i) => `${'AB'[i]} ${m == null ? '—' : timecode(m)}`).join(' · ');
+  cameraStatus.html(`Sync marks: ${marks}`);
+}
+
+// ------------------------------ Shortcuts & gamepads ---------------------------
+
+/**
+ * Every shortcut goes through triggerShortcut(action). Bindings map each
+ * SHORTCUT_ACTIONS id to a keyboard key and/or a Gamepad API button (foot
+ * pedals usually show up as gamepads), are remapped in the “⌨ Shortcuts”
+ * panel and persist in localStorage. Ctrl/⌘+Z/Y and Esc stay fixed.
+ */
+let shortcutBindings = loadShortcutBindings(); // { keys: { action: key }, pad: { action: button } }
+let showShortcutHelp = false;   // “?” overlay listing the bindings
+let bindingCapture = null;      // { action, kind: 'key' | 'pad' } while waiting for the new binding
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'AltGraph']; // Never bound on their own
+let padPrev = [];               // Pressed state per gamepad from the last poll (to act on presses only)
+let shortcutPanel, shortcutRows, padStatus;
+
+/** Defaults from SHORTCUT_ACTIONS, overridden by whatever the user saved. */
+function loadShortcutBindings() {
+  const b = { keys: {}, pad: {} };
+  for (const a of SHORTCUT_ACTIONS) { b.keys[a.id] = a.key; b.pad[a.id] = a.pad; }
+  try {
+    const saved = JSON.parse(localStorage.getItem(SHORTCUTS_KEY) || 'null');
+    if (saved) {
+      for (const a of SHORTCUT_ACTIONS) {
+        if (saved.keys && typeof saved.keys[a.id] === 'string') b.keys[a.id] = saved.keys[a.id];
+        if (saved.pad && (saved.pad[a.id] === null || Number.isInteger(saved.pad[a.id]))) b.pad[a.id] = saved.pad[a.id];
+      }
+    }
+  } catch (err) {
+    console.warn('Ignoring unreadable shortcuts', err);
+  }
+  return b;
+}
+
+function saveShortcutBindings() {
+  try {
+    localStorage.setItem(SHORTCUTS_KEY, JSON.stringify(shortcutBindings));
+  } catch (err) {
+    console.warn('Could not save shortcuts', err);
+  }
+}
+
+/** Letters match regardless of Shift/Caps Lock; named keys (Enter, ArrowLeft…) as they come. */
+function normalizeKey(k) {
+  return k && k.length === 1 ? k.toLowerCase() : k;
+}
+
+function actionForKey(k) {
+  const nk = normalizeKey(k);
+  const a = SHORTCUT_ACTIONS.find((x) => shortcutBindings.keys[x.id] && shortcutBindings.keys[x.id] === nk);
+  return a ? a.id : null;
+}
+
+function actionForButton(i) {
+  const a = SHORTCUT_ACTIONS.find((x) => shortcutBindings.pad[x.id] === i);
+  return a ? a.id : null;
+}
+
+/** Display name of a key binding: “Space”, “N”, “Enter”, “—” when unbound. */
+function keyLabel(k) {
+  if (!k) return '—';
+  if (k === ' ') return 'Space';
+  return k.length === 1 ? k.toUpperCase() : k;
+}
+
+/** Display name of the key bound to an action (used by the HUD hints). */
+function shortcutKey(action) {
+  return keyLabel(shortcutBindings.keys[action]);
+}
+
+function padLabel(i) {
+  return i == null ? '—' : `Button ${i}`;
+}
+
+/** Bind value to action; an action that had the same key/button loses it. */
+function setBinding(kind, action, value) {
+  const map = kind === 'key' ? shortcutBindings.keys : shortcutBindings.pad;
+  const empty = kind === 'key' ? '' : null;
+  for (const id of Object.keys(map)) if (map[id] === value) map[id] = empty;
+  map[action] = value;
+  bindingCapture = null;
+  saveShortcutBindings();
+  renderShortcutRows();
+}
+
+/** Check every connected gamepad once per frame and fire actions on new presses. */
+function pollGamepads() {
+  if (!navigator.getGamepads) return;
+  for (const pad of navigator.getGamepads()) {
+    if (!pad) continue;
+    const prev = padPrev[pad.index] || [];
+    const now = pad.buttons.map((b) => b.pressed);
+    now.forEach((down, i) => {
+      if (!down || prev[i]) return;            // Held buttons fire once
+      if (bindingCapture && bindingCapture.kind === 'pad') setBinding('pad', bindingCapture.action, i);
+      else if (!bindingCapture && !typingInField()) {
+        const action = actionForButton(i);
+        if (action) triggerShortcut(action);
+      }
+    });
+    padPrev[pad.index] = now;
+  }
+}
+
+/** Semi-transparent list of the current bindings (toggled with “?”). */
+function drawShortcutHelp() {
+  if (!showShortcutHelp) return;
+  const lines = SHORTCUT_ACTIONS.map((a) => [shortcutKey(a.id), padLabel(shortcutBindings.pad[a.id]), a.label]);
+  lines.push(['Click', '', 'Add point (or calibration click)']);
+  lines.push(['Ctrl/⌘+Z', '', 'Undo (Ctrl+Shift+Z or Ctrl+Y redo)']);
+  lines.push(['Esc', '', 'Stop tracking / cancel video export / close this list']);
+  const rowH = 20, boxW = Math.min(width - 40, 560), boxH = lines.length * rowH + 56;
+  const x0 = (width - boxW) / 2, y0 = Math.max(10, (height - boxH) / 2);
+
+  push();
+  noStroke();
+  fill(0, 215);
+  rect(x0, y0, boxW, boxH, 10);
+  fill(255);
+  textSize(16);
+  textAlign(LEFT, TOP);
+  text('Shortcuts (remap under ⌨ Shortcuts)', x0 + 16, y0 + 14);
+  textSize(13);
+  lines.forEach(([k, p, label], i) => {
+    const y = y0 + 44 + i * rowH;
+    fill(255, 220, 0);
+    text(k, x0 + 16, y);
+    fill(150, 200, 255);
+    text(p, x0 + 110, y);
+    fill(255);
+    text(label, x0 + 200, y);
+  });
+  pop();
+}
+
+/** “⌨ Shortcuts” toggle in the video bar and the remapping panel it opens. */
+function createShortcutPanel() {
+  const btn = createButton('⌨ Shortcuts');
+  styleButton(btn);
+  btn.parent(videoBar);
+  btn.mousePressed(() => shortcutPanel.style('display', shortcutPanel.style('display') === 'none' ? 'block' : 'none'));
+
+  shortcutPanel = createDiv('');
+  shortcutPanel.style('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
+  shortcutPanel.style('margin', '8px 0 0 0');
+  shortcutPanel.style('padding', '10px 12px');
+  shortcutPanel.style('border-radius', '10px');
+  shortcutPanel.style('background', '#f1f1f1');
+  shortcutPanel.style('display', 'none');
+
+  createDiv('<b>Shortcuts</b> — click a binding, then press the new key or gamepad / pedal button (Esc cancels)').parent(shortcutPanel);
+  shortcutRows = createDiv('');
+  shortcutRows.parent(shortcutPanel);
+
+  const btnReset = createButton('Reset to defaults');
+  styleButton(btnReset);
+  btnReset.style('padding', '6px 10px');
+  btnReset.style('margin', '6px 6px 0 0');
+  btnReset.parent(shortcutPanel);
+  btnReset.mousePressed(() => {
+    const defaults = { keys: {}, pad: {} };
+    for (const a of SHORTCUT_ACTIONS) { defaults.keys[a.id] = a.key; defaults.pad[a.id] = a.pad; }
+    shortcutBindings = defaults;
+    bindingCapture = null;
+    saveShortcutBindings();
+    renderShortcutRows();
+  });
+  padStatus = createSpan('');
+  padStatus.parent(shortcutPanel);
+
+  const onPadChange = () => {
+    const pads = navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : [];
+    padStatus.html(pads.length ? `🎮 ${pads.map((p) => escapeHTML(p.id)).join(', ')}` : '🎮 No gamepad or pedal detected (press a button on it)');
+  };
+  window.addEventListener('gamepadconnected', onPadChange);
+  window.addEventListener('gamepaddisconnected', onPadChange);
+  onPadChange();
+  renderShortcutRows();
+}
+
+/** One row per action: key button, gamepad button, clear. */
+function renderShortcutRows() {
+  if (!shortcutRows) return;
+  shortcutRows.html('');
+  for (const a of SHORTCUT_ACTIONS) {
+    const row = createDiv('');
+    row.parent(shortcutRows);
+    row.style('display', 'flex');
+    row.style('gap', '6px');
+    row.style('align-items', 'center');
+    row.style('margin-top', '6px');
+
+    const name = createSpan(a.label);
+    name.parent(row);
+    name.style('width', '260px');
+
+    for (const kind of ['key', 'pad']) {
+      const waiting = bindingCapture && bindingCapture.action === a.id && bindingCapture.kind === kind;
+      const txt = waiting
+        ? (kind === 'key' ? 'Press a key…' : 'Press a button…')
+        : (kind === 'key' ? `⌨ ${shortcutKey(a.id)}` : `🎮 ${padLabel(shortcutBindings.pad[a.id])}`);
+      const b = createButton(txt);
+      b.parent(row);
+      b.style('width', '130px');
+      b.mousePressed(() => {
+        bindingCapture = waiting ? null : { action: a.id, kind };
+        b.elt.blur();                          // Keys must reach keyPressed, not the button
+        renderShortcutRows();
+      });
+    }
+
+    const clear = createButton('✖');
+    clear.parent(row);
+    clear.attribute('title', 'Unbind key and button');
+    clear.mousePressed(() => {
+      shortcutBindings.keys[a.id] = '';
+      shortcutBindings.pad[a.id] = null;
+      saveShortcutBindings();
+      renderShortcutRows();
+    });
+  }
+}
+
+// ------------------------------ Calibration checks & reuse ---------------------
+
+/**
+ * Four raw clicks are easy to get wrong, so: a loupe magnifies the frame while
+ * clicking, the clicks are checked as they come in (VVMetrics.validateCalibration),
+ * and after step 4 “📐 Adjust net” shows draggable handles over the computed
+ * tape line and a metre grid. A good calibration can be saved under a name and
+ * reused for a tripod camera that never moves between sessions; points are
+ * stored in canvas px with the canvas size, and rescaled on use.
+ */
+let calibAdjust = false;      // Handles shown: presses move calibration points instead of adding rep points
+let calibDrag = null;         // { key, dx, dy, moved } while a handle is dragged (offset keeps it from jumping)
+let showCalibGrid = false;    // Tape line + metre grid overlay outside adjust mode
+let savedCalibrations = loadSavedCalibrations(); // name → { points, net, canvasW, canvasH, savedAt }
+let calibPanel, btnCalibAdjust, calibGridCheckbox, savedCalibSelect, btnCalibUse, btnCalibSave, btnCalibDelete;
+
+function loadSavedCalibrations() {
+  try {
+    const c = JSON.parse(localStorage.getItem(CALIBRATIONS_KEY));
+    if (c && typeof c === 'object' && !Array.isArray(c)) return c;
+  } catch (err) { /* fall through to none */ }
+  return {};
+}
+
+function storeSavedCalibrations() {
+  try { localStorage.setItem(CALIBRATIONS_KEY, JSON.stringify(savedCalibrations)); } catch (err) { /* storage off */ }
+}
+
+/** Enter/leave adjust mode (only with a finished calibration); pauses so the frame holds still. */
+function setCalibAdjust(on) {
+  calibAdjust = !!on && calibStep === 4;
+  calibDrag = null;
+  if (calibAdjust) vid.pause();
+}
+
+/** Pick up the calibration handle within CALIB_GRAB_PX of the press, if any. */
+function startCalibDrag(x, y) {
+  let best = null, bestD = CALIB_GRAB_PX;
+  for (const k of ['LB', 'LT', 'RB', 'RT']) {
+    const d = Math.hypot(calibPts[k].x - x, calibPts[k].y - y);
+    if (d < bestD) { bestD = d; best = k; }
+  }
+  if (!best) return;
+  calibDrag = { key: best, dx: calibPts[best].x - x, dy: calibPts[best].y - y, moved: false }; // Undo step on the first move
+}
+
+/** Move the grabbed handle to follow the pointer at (x, y); the homography and grid follow live. */
+function dragCalibHandle(x, y) {
+  const k = calibDrag.key;
+  const nx = constrain(x + calibDrag.dx, 0, width), ny = constrain(y + calibDrag.dy, 0, height);
+  if (nx === calibPts[k].x && ny === calibPts[k].y) return;
+  if (!calibDrag.moved) { recordHistory(`Move calibration point ${k}`); calibDrag.moved = true; }
+  calibPts[k] = { x: nx, y: ny };
+  finalizeCalibration();
+}
+
+/** Drop the handle and rescore every rep against the new calibration. */
+function endCalibDrag() {
+  const moved = calibDrag.moved;
+  calibDrag = null;
+  if (!moved) return;
+  computeAllRepMetrics();
+  if (showAllAtEnd) renderStatsTable();
+  autosaveSession();
+}
+
+/**
+ * Magnified video (not canvas) around (x, y) in a circle beside the pointer,
+ * so a click can land on the exact pixel of the tape or antenna base.
+ */
+function drawLoupe(x, y) {
+  const el = vid.elt;
+  const v = frameToView(x, y);                        // Where (x, y) is on screen under pinch zoom
+  if (!ready || !el.videoWidth || v.x < 0 || v.y < 0 || v.x > width || v.y > height) return;
+  const sx = el.videoWidth / width, sy = el.videoHeight / height; // Canvas px → video px
+  const half = LOUPE_R / LOUPE_ZOOM;                  // Canvas px either side of the pointer shown
+  let cx = v.x + LOUPE_R + 24, cy = v.y - LOUPE_R - 24; // Up and to the right, flipped near the edges
+  if (cx + LOUPE_R > width) cx = v.x - LOUPE_R - 24;
+  if (cy - LOUPE_R < 0) cy = v.y + LOUPE_R + 24;
+
+  const ctx = drawingContext;
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(cx, cy, LOUPE_R, 0, Math.PI * 2);
+  ctx.clip();
+  ctx.fillStyle = '#000';
+  ctx.fillRect(cx - LOUPE_R, cy - LOUPE_R, LOUPE_R * 2, LOUPE_R * 2);
+  ctx.drawImage(el, (x - half) * sx, (y - half) * sy, half * 2 * sx, half * 2 * sy,
+    cx - LOUPE_R, cy - LOUPE_R, LOUPE_R * 2, LOUPE_R * 2);
+  ctx.restore();
+
+  push();
+  noFill();
+  stroke(255); strokeWeight(2);
+  circle(cx, cy, LOUPE_R * 2);
+  stroke(255, 80, 80); strokeWeight(1);               // Crosshair = exactly where the click lands
+  line(cx - 12, cy, cx - 3, cy); line(cx + 3, cy, cx + 12, cy);
+  line(cx, cy - 12, cx, cy - 3); line(cx, cy + 3, cx, cy + 12);
+  pop();
+}
+
+/** Computed tape line, metre grid in the net plane and (in adjust mode) the handles. */
+function drawCalibrationOverlay() {
+  if (calibStep < 4 || !(calibAdjust || showCalibGrid)) return;
+  push();
+  if (homographyInv) {
+    const seg = (X0, Y0, X1, Y1) => {
+      const a = fromNetPlane(X0, Y0), b = fromNetPlane(X1, Y1);
+      if (a && b) line(a.x, a.y, b.x, b.y);
+    };
+    const topY = Math.ceil(netHeightM) + 2;           // Up to where sets peak
+    const xs = [...Array(Math.floor(netWidthM) + 1).keys()];
+    if (netWidthM % 1) xs.push(netWidthM);
+    stroke(255, 255, 255, 90); strokeWeight(1);
+    for (const X of xs) seg(X, 0, X, topY);
+    for (let Y = 0; Y <= topY; Y++) seg(0, Y, netWidthM, Y);
+
+    stroke(80, 220, 160); strokeWeight(2);            // The net as calibrated: antennae + tape
+    seg(0, 0, 0, netHeightM);
+    seg(netWidthM, 0, netWidthM, netHeightM);
+    seg(0, netHeightM, netWidthM, netHeightM);
+
+    noStroke(); fill(255, 200); textSize(10); textAlign(RIGHT, CENTER);
+    for (let Y = 0; Y <= topY; Y++) {
+      const p = fromNetPlane(0, Y);
+      if (p) text(`${Y} m`, p.x - 4, p.y);
+    }
+  }
+  if (topLine) {                                      // Flat scale’s tape line (the pre-homography model)
+    stroke(255, 220, 0); strokeWeight(1.5); noFill();
+    drawingContext.setLineDash([6, 6]);
+    line(0, topLine.b, width, topLine.m * width + topLine.b);
+    drawingContext.setLineDash([]);
+  }
+  pop();
+
+  if (!calibAdjust) return;
+  push();
+  textSize(11); textAlign(CENTER, BOTTOM);
+  for (const k of ['LB', 'LT', 'RB', 'RT']) {
+    const p = calibPts[k];
+    stroke(0); strokeWeight(1.5);
+    fill(k[1] === 'B' ? '#ff5757' : '#57c7ff');       // Same colours as the calibration crosses
+    circle(p.x, p.y, calibDrag && calibDrag.key === k ? 14 : 10);
+    noStroke(); fill(255);
+    text(k, p.x, p.y - 9);
+  }
+  pop();
+}
+
+/** Red box listing what looks impossible about the clicks so far, with how to fix it. */
+function drawCalibrationWarnings() {
+  const warnings = VVMetrics.validateCalibration(calibPts);
+  if (!warnings.length) return;
+  const lines = warnings.map((w) => `⚠ ${w.message}`);
+  lines.push(calibStep < 4
+    ? 'Undo the last click with Ctrl+Z, or carry on and drag the handles afterwards'
+    : `Drag the handles to fix it (📐 Adjust net or ${shortcutKey('adjustCalib')})`);
+  const y0 = calibStep < 4 ? 64 : 8;                  // Below the calibration banner while clicking
+  push();
+  textSize(13);
+  const w = Math.max(...lines.map((l) => textWidth(l))) + 20;
+  noStroke();
+  fill(140, 20, 20, 220);
+  rect(8, y0, w, lines.length * 18 + 12, 8);
+  fill(255);
+  textAlign(LEFT, TOP);
+  lines.forEach((l, i) => text(l, 18, y0 + 7 + i * 18));
+  pop();
+}
+
+/** Save the on-screen camera’s calibration (clicks + net size) under a name. */
+function saveCurrentCalibration() {
+  if (calibStep < 4) return;
+  const name = (prompt('Name this calibration (e.g. “Hall B, tripod left”):', savedCalibSelect.value() || '') || '').trim();
+  if (!name) return;
+  if (savedCalibrations[name] && !confirm(`Replace the saved calibration “${name}”?`)) return;
+  savedCalibrations[name] = {
+    points: JSON.parse(JSON.stringify(calibPts)),
+    net: { presetId: netPresetId, heightM: netHeightM, widthM: netWidthM },
+    canvasW: width, canvasH: height,
+    savedAt: new Date().toISOString(),
+  };
+  storeSavedCalibrations();
+  renderSavedCalibrations(name);
+}
+
+/** Calibrate the on-screen camera from a saved calibration (undoable), rescaled to this canvas. */
+function useSavedCalibration(name) {
+  const c = savedCalibrations[name];
+  if (!c) return;
+  const sx = width / c.canvasW, sy = height / c.canvasH;
+  if (Math.abs(sx / sy - 1) > 0.02 &&
+      !confirm(`“${name}” was saved on a ${c.canvasW}×${c.canvasH} frame; this clip is ${width}×${height}. Use it anyway?`)) return;
+  recordHistory(`Use calibration “${name}”`);
+  calibPts = {};
+  for (const k of ['LB', 'LT', 'RB', 'RT']) calibPts[k] = { x: c.points[k].x * sx, y: c.points[k].y * sy };
+  calibStep = 4;
+  setNetDimensions(c.net.presetId, c.net.heightM, c.net.widthM); // Finalizes the calibration and rescores the reps
+  if (showAllAtEnd) renderStatsTable();
+  autosaveSession();
+}
+
+function deleteSavedCalibration(name) {
+  if (!savedCalibrations[name] || !confirm(`Delete the saved calibration “${name}”?`)) return;
+  delete savedCalibrations[name];
+  storeSavedCalibrations();
+  renderSavedCalibrations();
+}
+
+/** “Calibration” bar under the canvas: adjust toggle, grid and the saved calibrations. */
+function createCalibrationPanel() {
+  calibPanel = createDiv('');
+  calibPanel.style('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
+  calibPanel.style('margin', '8px 0 0 0');
+  calibPanel.style('padding', '10px 12px');
+  calibPanel.style('border-radius', '10px');
+  calibPanel.style('background', '#f1f1f1');
+  calibPanel.style('display', 'flex');
+  calibPanel.style('flex-wrap', 'wrap');
+  calibPanel.style('gap', '10px');
+  calibPanel.style('align-items', 'center');
+
+  createSpan('<b>Calibration</b>').parent(calibPanel);
+  btnCalibAdjust = createButton('📐 Adjust net');
+  styleButton(btnCalibAdjust);
+  btnCalibAdjust.parent(calibPanel);
+  btnCalibAdjust.mousePressed(() => setCalibAdjust(!calibAdjust));
+
+  calibGridCheckbox = createCheckbox('Metre grid', showCalibGrid);
+  calibGridCheckbox.parent(calibPanel);
+  calibGridCheckbox.changed(() => { showCalibGrid = calibGridCheckbox.checked(); });
+
+  createSpan('Saved:').parent(calibPanel);
+  savedCalibSelect = createSelect();
+  savedCalibSelect.parent(calibPanel);
+  btnCalibUse = createButton('Use');
+  btnCalibSave = createButton('💾 Save as…');
+  btnCalibDelete = createButton('✖');
+  [btnCalibUse, btnCalibSave, btnCalibDelete].forEach((b) => { styleButton(b); b.style('padding', '6px 10px'); b.parent(calibPanel); });
+  btnCalibUse.mousePressed(() => useSavedCalibration(savedCalibSelect.value()));
+  btnCalibSave.mousePressed(saveCurrentCalibration);
+  btnCalibDelete.mousePressed(() => deleteSavedCalibration(savedCalibSelect.value()));
+  btnCalibDelete.attribute('title', 'Delete the selected saved calibration');
+  renderSavedCalibrations();
+}
+
+/** Refill the saved-calibration list (optionally selecting one). */
+function renderSavedCalibrations(selected) {
+  savedCalibSelect.html('');
+  const names = Object.keys(savedCalibrations).sort();
+  if (!names.length) savedCalibSelect.option('(none yet)', '');
+  for (const n of names) savedCalibSelect.option(n);
+  if (selected) savedCalibSelect.selected(selected);
+}
+
+/** Per-frame: adjust/grid/save only make sense with a finished calibration. */
+function updateCalibPanel() {
+  if (calibStep < 4 && calibAdjust) setCalibAdjust(false);
+  const done = calibStep === 4;
+  const label = calibAdjust ? '✔ Done adjusting' : '📐 Adjust net';
+  if (btnCalibAdjust.html() !== label) btnCalibAdjust.html(label);
+  btnCalibAdjust.style('display', done ? '' : 'none');
+  calibGridCheckbox.style('display', done ? '' : 'none');
+  btnCalibSave.style('display', done ? '' : 'none');
+  const has = !!savedCalibrations[savedCalibSelect.value()];
+  btnCalibUse.elt.disabled = !has;
+  btnCalibDelete.elt.disabled = !has;
+}
+
+// ------------------------------ Motion pre-pass --------------------------------
+
+/**
+ * “🔎 Find sets” scans the clip in a hidden second <video>, so playback and
+ * annotation carry on meanwhile: MOTION_SAMPLE_HZ frames a second are shrunk
+ * to MOTION_W px, differenced, and the motion series goes through
+ * VVMetrics.findMotionCandidates. The timeline then shows suggested reps
+ * (grey), ball flights (yellow) and touches (ticks; the likely set contact is
+ * taller), and ◀ / ▶ or [ / ] jump between candidate set contacts. Results
+ * belong to the on-screen camera’s clip and are not saved with the session.
+ */
+let motionScan = null;        // { touches, flights, reps } for the on-screen clip, or null
+let motionJob = null;         // { src, progress, cancelled } while a scan runs
+let motionError = null;       // Why the last scan failed, shown on the button
+let btnMotionScan, btnPrevSet, btnNextSet;
+
+/** Start a scan of the on-screen clip, or stop the one running. */
+async function runMotionScan() {
+  if (motionJob) { motionJob.cancelled = true; return; }
+  const src = vid.elt.currentSrc, dur = vid.elt.duration;
+  if (!src || !isFinite(dur) || dur <= 0) return;
+  const job = motionJob = { src, progress: 0, cancelled: false };
+  motionError = null;
+
+  const el = document.createElement('video');
+  el.muted = true;
+  el.playsInline = true;
+  el.preload = 'auto';
+  try {
+    const loaded = await new Promise((resolve) => {
+      el.onloadeddata = () => resolve(true);
+      el.onerror = () => resolve(false);
+      el.src = src;
+    });
+    if (!loaded || !el.videoWidth) throw el.error || new Error('could not load the clip');
+
+    const cnv = document.createElement('canvas');
+    cnv.width = MOTION_W;
+    cnv.height = Math.max(1, Math.round((MOTION_W * el.videoHeight) / el.videoWidth));
+    const ctx = cnv.getContext('2d', { willReadFrequently: true });
+    const samples = [];
+    let prev = null;
+    for (let i = 0; i / MOTION_SAMPLE_HZ < dur && !job.cancelled; i++) {
+      const t = i / MOTION_SAMPLE_HZ;
+      await seekVideo(t, el);
+      ctx.drawImage(el, 0, 0, cnv.width, cnv.height);
+      const luma = VVMetrics.lumaFrame(ctx.getImageData(0, 0, cnv.width, cnv.height).data);
+      if (prev) samples.push({ t, energy: VVMetrics.motionEnergy(prev, luma) });
+      prev = luma;
+      job.progress = t / dur;
+    }
+    if (!job.cancelled) storeMotionScan(src, VVMetrics.findMotionCandidates(samples));
+  } catch (err) {
+    console.error('MOTION SCAN ERROR', err);
+    if (!job.cancelled) motionError = (err && err.message) || 'scan failed';
+  } finally {
+    el.removeAttribute('src');           // Release the decoder
+    el.load();
+    if (motionJob === job) motionJob = null;
+  }
+}
+
+/** Keep a finished scan with whichever camera shows that clip (none if it was closed meanwhile). */
+function storeMotionScan(src, result) {
+  const i = cameras.length > 1
+    ? cameras.findIndex((c, j) => (j === activeCam ? vid : c.vid).elt.currentSrc === src)
+    : (vid.elt.currentSrc === src ? activeCam : -1);
+  if (i < 0) return;
+  withCamera(i, () => { motionScan = result; });
+  renderTimeline();
+}
+
+/** Pause on the next (dir 1) or previous (dir -1) candidate set contact. */
+function jumpToCandidateSet(dir) {
+  if (!motionScan) return;
+  const now = vid.time(), eps = frameDuration() / 2;
+  const times = motionScan.reps.map((r) => r.setT);
+  const t = dir > 0 ? times.find((x) => x > now + eps) : times.filter((x) => x < now - eps).pop();
+  if (t == null) return;
+  vid.pause();
+  vid.time(t);
+}
+
+/** Suggested reps, flights and touches as a layer at the back of the timeline. */
+function renderMotionCandidates(dur) {
+  if (!motionScan) return;
+  const add = (left, w, top, bottom, bg, title) => {
+    const d = createDiv('');
+    d.parent(timelineDiv);
+    d.style('position', 'absolute');
+    d.style('left', `${(left / dur) * 100}%`);
+    d.style('width', w);
+    d.style('top', top);
+    d.style('bottom', bottom);
+    d.style('background', bg);
+    if (title) d.attribute('title', title);
+    return d;
+  };
+  motionScan.reps.forEach((r, i) => {
+    add(r.t0, `${((r.t1 - r.t0) / dur) * 100}%`, '0', '0', 'rgba(255,255,255,0.12)', null)
+      .style('pointer-events', 'none');
+    const tick = add(r.setT, '3px', '0', '0', '#ffd84d', `Candidate set ${i + 1} at ${r.setT.toFixed(2)} s`);
+    tick.style('cursor', 'pointer');
+    tick.mousePressed(() => { vid.pause(); vid.time(r.setT); });
+  });
+  for (const f of motionScan.flights) {
+    add(f.t0, `${((f.t1 - f.t0) / dur) * 100}%`, 'auto', '0', 'rgba(255,216,77,0.45)', null)
+      .style('height', '3px').style('pointer-events', 'none');
+  }
+  for (const touch of motionScan.touches) {
+    add(touch.t, '1px', '14px', '0', 'rgba(255,255,255,0.6)', null).style('pointer-events', 'none');
+  }
+}
+
+/** 🔎 Find sets and ◀ / ▶ in the video bar. */
+function createMotionControls() {
+  btnMotionScan = createButton('🔎 Find sets');
+  btnPrevSet = createButton('◀');
+  btnNextSet = createButton('▶');
+  [btnMotionScan, btnPrevSet, btnNextSet].forEach((b) => { styleButton(b); b.parent(videoBar); });
+  btnMotionScan.attribute('title', 'Scan the clip for likely touches and suggest where each set starts');
+  btnPrevSet.attribute('title', 'Previous candidate set contact');
+  btnNextSet.attribute('title', 'Next candidate set contact');
+  btnMotionScan.mousePressed(runMotionScan);
+  btnPrevSet.mousePressed(() => jumpToCandidateSet(-1));
+  btnNextSet.mousePressed(() => jumpToCandidateSet(1));
+}
+
+/** Per-frame: scan progress on the button; jumps only once there are candidates. */
+function updateMotionControls() {
+  let label = '🔎 Find sets';
+  let tip = 'Scan the clip for likely touches and suggest where each set starts';
+  if (motionJob) label = `⏹ Scanning ${Math.round(motionJob.progress * 100)}%`;
+  else if (motionError) { label = '⚠ Scan failed'; tip = `Scan failed: ${motionError} (click to retry)`; }
+  else if (motionScan) label = `🔎 ${motionScan.reps.length} sets found`;
+  if (btnMotionScan.html() !== label) btnMotionScan.html(label);
+  if (btnMotionScan.elt.title !== tip) btnMotionScan.attribute('title', tip);
+  const none = !motionScan || !motionScan.reps.length;
+  btnPrevSet.elt.disabled = none;
+  btnNextSet.elt.disabled = none;
+}
+
+// ------------------------------ Responsive layout & touch ----------------------
+
+/**
+ * Three coordinate spaces:
+ *   client px  – page/touch event coordinates;
+ *   canvas px  – the canvas’s own resolution (p5’s mouseX/mouseY), whatever
+ *                size CSS shows it at;
+ *   frame px   – where annotations live: canvas px before pinch zoom. Points
+ *                and calibration clicks are stored in these, so they stay
+ *                valid at any screen size or zoom (zones are in net-plane
+ *                metres and go through the calibration instead).
+ * Touch: tap = click, two-finger tap = undo, horizontal swipe = step frames,
+ * pinch = zoom/pan the frame. Handles and rep points are dragged with one finger;
+ * during calibration the point lands where the finger is lifted (loupe shows it).
+ */
+let viewZoom = { s: 1, x: 0, y: 0 }; // Pinch zoom: scale, and the frame point at the canvas’s top-left
+let gesture = null;           // Touch gesture in progress (see touchStarted)
+
+/** p5 hook: refit the canvas when the window or tablet orientation changes. */
+function windowResized() {
+  fitCanvasToViewport();
+}
+
+/** Show the canvas at the largest CSS size that fits the window (never above its resolution). */
+function fitCanvasToViewport() {
+  const el = drawingContext.canvas;
+  const s = constrain(Math.min((windowWidth - VIEWPORT_MARGIN_PX) / width, (windowHeight - VIEWPORT_RESERVE_PX) / height), 0.2, 1);
+  const w = Math.round(width * s), h = Math.round(height * s);
+  el.style.width = `${w}px`;
+  el.style.height = `${h}px`;
+  timelineDiv.style('width', `${w}px`);            // Rows tied to the canvas follow its width
+  dashBar.style('max-width', `${w}px`);
+}
+
+/** Client (page) px → canvas px, through the CSS scaling. */
+function clientToCanvas(clientX, clientY) {
+  const r = drawingContext.canvas.getBoundingClientRect();
+  return { x: ((clientX - r.left) * width) / r.width, y: ((clientY - r.top) * height) / r.height };
+}
+
+/** Canvas px → frame px under the pinch zoom. */
+function viewToFrame(x, y) {
+  return { x: viewZoom.x + x / viewZoom.s, y: viewZoom.y + y / viewZoom.s };
+}
+
+/** Frame px → canvas px under the pinch zoom. */
+function frameToView(x, y) {
+  return { x: (x - viewZoom.x) * viewZoom.s, y: (y - viewZoom.y) * viewZoom.s };
+}
+
+/** The mouse (or last touch) in frame px. */
+function viewPointer() {
+  return viewToFrame(mouseX, mouseY);
+}
+
+/** Transform for drawing anything in frame px (call inside push/pop). */
+function applyViewZoom() {
+  if (viewZoom.s === 1) return;
+  scale(viewZoom.s);
+  translate(-viewZoom.x, -viewZoom.y);
+}
+
+/** Set the zoom, keeping the visible window inside the frame; 1 shows the whole frame. */
+function setViewZoom(s, x, y) {
+  s = constrain(s, 1, VIEW_ZOOM_MAX);
+  if (s < 1.02) { viewZoom = { s: 1, x: 0, y: 0 }; return; }
+  viewZoom = {
+    s,
+    x: constrain(x, 0, width - width / s),
+    y: constrain(y, 0, height - height / s),
+  };
+}
+
+/** Canvas px of every finger on the screen. */
+function touchPoints(event) {
+  return [...event.touches].map((t) => clientToCanvas(t.clientX, t.clientY));
+}
+
+/**
+ * p5 hook. Only touches that start on the canvas are gestures; returning
+ * false stops the browser scrolling/zooming the page and sending the
+ * emulated mouse events (which would click twice).
+ */
+function touchStarted(event) {
+  if (!event || event.target !== drawingContext.canvas) return;   // DOM controls handle their own touches
+  const pts = touchPoints(event);
+  if (pts.length >= 2) {                       // Second finger: pinch/pan, or a two-finger tap
+    if (gesture && gesture.mode === 'drag') endDrag();
+    const [a, b] = pts;
+    gesture = {
+      mode: 'pinch', t0: millis(), moved: false,
+      d0: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+      mid0: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      zoom0: Object.assign({}, viewZoom),
+    };
+    return false;
+  }
+
+  const p = pts[0];
+  gesture = { mode: 'pending', x0: p.x, y0: p.y, last: p, far: false, steps: 0 };
+  if (calibAdjust || showAllAtEnd) {           // Handles/points are grabbed on touch-down, like a mouse press
+    canvasPress(p.x, p.y);
+    gesture.mode = calibDrag || dragPoint ? 'drag' : 'done';
+  }
+  return false;
+}
+
+/** p5 hook: pinch zoom, dragging, or a swipe that steps frames as it goes. */
+function touchMoved(event) {
+  if (!gesture) return;
+  const pts = touchPoints(event);
+  const g = gesture;
+
+  if (g.mode === 'pinch') {
+    if (pts.length < 2) return false;
+    const [a, b] = pts;
+    const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    const s = (g.zoom0.s * Math.hypot(b.x - a.x, b.y - a.y)) / g.d0;
+    if (Math.abs(s / g.zoom0.s - 1) > 0.05 || Math.hypot(mid.x - g.mid0.x, mid.y - g.mid0.y) > TOUCH_TAP_SLOP_PX) g.moved = true;
+    if (g.moved) {                             // Keep the frame point first under the fingers under them
+      const fx = g.zoom0.x + g.mid0.x / g.zoom0.s, fy = g.zoom0.y + g.mid0.y / g.zoom0.s;
+      const sc = constrain(s, 1, VIEW_ZOOM_MAX);
+      setViewZoom(sc, fx - mid.x / sc, fy - mid.y / sc);
+    }
+    return false;
+  }
+
+  const p = pts[0];
+  if (!p) return false;
+  g.last = p;
+  if (g.mode === 'drag') {
+    const f = viewToFrame(p.x, p.y);
+    dragTo(f.x, f.y);
+    return false;
+  }
+  if (calibStep < 4 || (g.mode !== 'pending' && g.mode !== 'swipe')) return false;
+
+  const dx = p.x - g.x0, dy = p.y - g.y0;
+  if (Math.hypot(dx, dy) > TOUCH_TAP_SLOP_PX) g.far = true;       // No longer a tap
+  if (g.mode === 'pending' && Math.abs(dx) > TOUCH_SWIPE_PX && Math.abs(dx) > 2 * Math.abs(dy)) g.mode = 'swipe';
+  if (g.mode === 'swipe') {                    // Right = forward, one frame per TOUCH_SWIPE_PX
+    const steps = Math.trunc(dx / TOUCH_SWIPE_PX);
+    for (; g.steps < steps; g.steps++) triggerShortcut('stepForward');
+    for (; g.steps > steps; g.steps--) triggerShortcut('stepBack');
+  }
+  return false;
+}
+
+/** p5 hook: finish the gesture once the last finger lifts. */
+function touchEnded(event) {
+  if (!gesture) return;
+  if (event && event.touches && event.touches.length) return false; // Wait for the last finger
+  const g = gesture;
+  gesture = null;
+
+  if (g.mode === 'drag') {
+    endDrag();
+  } else if (g.mode === 'pinch') {
+    if (!g.moved && millis() - g.t0 < TOUCH_TAP_MS && !tracking) undo();
+  } else if (g.mode === 'pending') {
+    if (calibStep < 4) canvasPress(g.last.x, g.last.y); // Calibration: where the finger was lifted
+    else if (!g.far) canvasPress(g.x0, g.y0);          // Tap
+  }
+  return false;
+}
+
+// ------------------------------ Athlete report ---------------------------------
+
+/**
+ * “📝 Generate report” downloads one HTML file to hand to the athlete after
+ * practice: session details, the calibration frame with every trail, the
+ * stats table, summary numbers, peak/width charts per rep and the best rep
+ * (highest peak, as in the table) called out. The picture is a data URL and
+ * the charts inline SVG, so the file opens offline and prints to PDF.
+ * Tag filters apply, like the on-page table.
+ */
+
+/** Copy a video frame into a canvas-sized <canvas>, so it lines up with the clicks. */
+function grabVideoFrame(el) {
+  const c = document.createElement('canvas');
+  c.width = width;
+  c.height = height;
+  try {
+    c.getContext('2d').drawImage(el, 0, 0, c.width, c.height);
+  } catch (err) {
+    return null;                         // Frame not decodable yet
+  }
+  return c;
+}
+
+/**
+ * JPEG data URL of the calibration frame (else the frame on screen) with the
+ * reps’ trails, the best one thicker and labelled. Paints over the canvas;
+ * the next draw() puts the normal view back.
+ */
+function reportSnapshot(entries, bestIdx) {
+  push();
+  background(0);
+  drawingContext.drawImage(calibFrame || vid.elt, 0, 0, width, height);
+  drawZones();
+  noFill();
+  for (const { rep, index } of entries) {
+    stroke(rep.color[0], rep.color[1], rep.color[2]);
+    strokeWeight(index === bestIdx ? 7 : 4);
+    drawSmoothPath(rep.points);
+    drawFittedCurve(rep, rep.fit);
+  }
+  const best = entries.find((e) => e.index === bestIdx);
+  if (best && best.rep.points.length) {  // Label above the best rep’s highest click
+    const top = best.rep.points.reduce((a, p) => (p.y < a.y ? p : a));
+    noStroke();
+    fill(255);
+    textSize(16);
+    textAlign(CENTER, BOTTOM);
+    text(`🏅 Rep ${bestIdx + 1}`, top.x, top.y - 10);
+  }
+  pop();
+  return drawingContext.canvas.toDataURL('image/jpeg', 0.85);
+}
+
+/** Index (into trails) of the highest-peaking rep among entries, or -1. */
+function bestReportRep(entries) {
+  let best = -1, bestVal = -Infinity;
+  for (const { rep, index } of entries) {
+    if (rep.peakM != null && rep.peakM > bestVal) { bestVal = rep.peakM; best = index; }
+  }
+  return best;
+}
+
+/** Summary rows (average / best / SD) for the report. */
+function reportSummaryHTML(rows) {
+  const sm = metricsSummary(rows);
+  const lines = [
+    ['Peak height', 'm', sm.peakM, 2],
+    ['Above net', 'cm', sm.aboveNetCM, 0],
+    ['Width', 'm', sm.widthM, 2],
+    ['Fit apex', 'm', sm.fitApexM, 2],
+    ['Hang time', 's', sm.hangTimeS, 2],
+    ['Release speed', 'm/s', sm.v0MS, 1],
+  ].filter(([, , st]) => st.n);
+  const fmt = (v, d) => (v != null ? v.toFixed(d) : '—');
+  return `
+    <table class="summary">
+      <tr><th></th><th>Average</th><th>Best</th><th>SD</th><th>Reps</th></tr>
+      ${lines.map(([label, unit, st, d]) =>
+        `<tr><td>${label} (${unit})</td><td>${fmt(st.average, d)}</td><td>${fmt(st.best, d)}</td><td>${fmt(st.sd, d)}</td><td>${st.n}</td></tr>`).join('')}
+    </table>`;
+}
+
+/** “Best rep” card: its colour, numbers and tags. */
+function reportBestRepHTML(rep, index) {
+  const row = VVMetrics.repRow(rep, index, TAG_FIELDS.map((f) => f.key));
+  const clr = `rgb(${rep.color[0]},${rep.color[1]},${rep.color[2]})`;
+  const facts = [
+    `peak <b>${row.peakM.toFixed(2)} m</b>`,
+    row.aboveNetCM != null ? `${row.aboveNetCM} cm above the net` : null,
+    row.widthM != null ? `width ${rep.direction || ''} ${row.widthM.toFixed(2)} m` : null,
+    row.hangTimeS != null ? `hang time ${row.hangTimeS.toFixed(2)} s` : null,
+    row.v0MS != null ? `released at ${row.releaseDeg.toFixed(0)}° / ${row.v0MS.toFixed(1)} m/s` : null,
+    rep.zone ? `${rep.zone.hit ? 'hit' : 'missed'} ${escapeHTML(rep.zone.zoneName)} (${rep.zone.distCM.toFixed(0)} cm)` : null,
+    ...TAG_FIELDS.filter((f) => row[f.key]).map((f) => `${f.label.toLowerCase()}: ${escapeHTML(row[f.key])}`),
+  ].filter(Boolean);
+  return `
+    <div class="card best">
+      <span class="dot" style="background:${clr}"></span>
+      🏅 <b>Best rep: Rep ${index + 1}</b> — ${facts.join(' · ')}
+    </div>`;
+}
+
+/** The whole report document (one string; styles inline in <head>). */
+function reportHTML(athlete, entries) {
+  const bestIdx = bestReportRep(entries);
+  const rows = entries.map(({ rep, index }) => VVMetrics.repRow(rep, index, []));
+  const net = currentNetInfo();
+  const filt = filterSummary();
+  const labels = entries.map(({ index }) => `${index + 1}`);
+  const bestOnly = (key) => entries.map(({ rep, index }) => (index === bestIdx ? rep[key] : null));
+  const date = new Date().toISOString().slice(0, 10);
+  const title = `VolleyVision report${athlete ? ` — ${athlete}` : ''} — ${date}`;
+
+  const meta = [
+    athlete ? ['Athlete', athlete] : null,
+    ['Date', date],
+    ['Clip', videoName],
+    ['Net', `${net.label}: ${net.heightM.toFixed(2)} m, antennae ${net.widthM.toFixed(2)} m apart`],
+    ['Reps', filt ? `${entries.length} of ${trails.length} (${filt})` : `${entries.length}`],
+    calibError ? ['Calibration', `${calibError.quality} (±${calibError.cm.toFixed(1)} cm)`] : null,
+    ['Frame rate', `${currentFps()} fps`],
+  ].filter(Boolean);
+
+  const charts = [
+    svgChart('Peak height per rep (m)', labels, [
+      { name: 'peak', color: '#00beff', values: entries.map(({ rep }) => rep.peakM) },
+      { name: 'best rep', color: '#ffdc00', values: bestOnly('peakM') },
+    ]),
+    svgChart('Width per rep (m)', labels, [
+      { name: 'width', color: '#50dca0', values: entries.map(({ rep }) => rep.widthM) },
+      { name: 'best rep', color: '#ffdc00', values: bestOnly('widthM') },
+    ]),
+  ].join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHTML(title)}</title>
+<style>
+  body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; background: #000; color: #fff; max-width: 1000px; margin: 24px auto; padding: 0 12px; }
+  h1 { font-size: 22px; margin: 0 0 12px 0; }
+  h2 { font-size: 16px; margin: 20px 0 8px 0; }
+  .card { background: #111; border-radius: 10px; padding: 12px; margin: 12px 0; }
+  .meta td { padding: 2px 12px 2px 0; } .meta td:first-child { color: #aaa; }
+  .summary { border-collapse: collapse; } .summary th, .summary td { text-align: left; padding: 4px 12px 4px 0; } .summary th { color: #aaa; font-weight: 600; }
+  .dot { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 8px; }
+  .best { border: 2px solid #ffdc00; }
+  .charts { display: flex; flex-wrap: wrap; gap: 12px; }
+  .stats { overflow-x: auto; }
+  img { display: block; max-width: 100%; border-radius: 10px; }
+  footer { color: #666; font-size: 12px; margin: 20px 0; }
+  @media print {
+    * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    @page { margin: 12mm; }
+    body { margin: 0; max-width: none; }
+    .card, img, svg, tr { break-inside: avoid; }
+    .stats > div { font-size: 10px !important; }
+  }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<div class="card"><table class="meta">${meta.map(([k, v]) => `<tr><td>${k}</td><td>${escapeHTML(v)}</td></tr>`).join('')}</table></div>
+${bestIdx >= 0 ? reportBestRepHTML(trails[bestIdx], bestIdx) : ''}
+<img src="${reportSnapshot(entries, bestIdx)}" alt="Calibration frame with every rep’s trail" />
+<h2>Summary</h2>
+<div class="card">${reportSummaryHTML(rows)}</div>
+<div class="charts">${charts}</div>
+<h2>Every rep</h2>
+<div class="card stats">${statsTableHTML(entries, net, '')}</div>
+<footer>Generated by VolleyVision on ${escapeHTML(new Date().toLocaleString())}. Heights and widths are measured in the net plane from clicks on the video.</footer>
+</body>
+</html>`;
+}
+
+/** Ask for the athlete’s name and download the report as <clip>_report.html. */
+function generateReport() {
+  computeAllRepMetrics();
+  const entries = visibleReps();
+  if (!entries.length) { alert('No reps to report (check the tag filters).'); return; }
+  const name = prompt('Athlete name for the report (optional):', guessAthleteName());
+  if (name === null) return;             // Cancelled
+  const athlete = name.trim();
+  if (athlete) localStorage.setItem(LAST_ATHLETE_KEY, athlete);
+  const base = `${videoName.replace(/\.[^.]+$/, '')}_report${athlete ? `_${athlete.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '')}` : ''}`;
+  saveStrings(reportHTML(athlete, entries).split('\n'), base, 'html');
+}
+
+// ------------------------------ Rep comparison ---------------------------------
+
+/**
+ * “⚖ Compare reps” replaces the end-screen trails with two picked reps: any of
+ * today’s, or any from a saved session file (“today versus last week”). Both
+ * are converted to net-plane metres with their own calibration, shifted so
+ * their set contacts (first clicks) coincide at rep A’s, and B is mirrored
+ * when it went the other way. The diff table shows B − A; ghost playback
+ * plays the clip from the set contact of the first pick that is one of
+ * today’s reps and draws both balls in step with it (at the playback speed).
+ * When both come from a loaded session there is no footage of them, so the
+ * ghost then runs on a timer over the frame on screen.
+ * Picks are 't:<index>' (trails) or 's:<index>' (compareSession.reps).
+ */
+const COMPARE_COLORS = { a: [255, 220, 0], b: [0, 190, 255] }; // Yellow = A, sky = B
+let compareOn = false;        // End screen shows the comparison instead of all trails
+let compareSession = null;    // { name, calib, reps } from a loaded session file
+let comparePanel, compareSelects = {}, compareDiff, btnGhost;
+let compareKey = '';          // Reps/metrics the pick lists were built from (rebuilt when it changes)
+let ghost = null;             // { t0 } (clip time of the set) or { start } (millis, no footage) while the ghost runs
+
+/** Open/close the comparison; opening picks the highlighted (or last measured) rep against the best one. */
+function setCompareMode(on) {
+  compareOn = on;
+  stopGhost();
+  if (!on) return;
+  if (endView !== 'trails') { endView = 'trails'; viewSelect.selected('trails'); } // Drawn over the frame
+  const entries = trails.map((rep, index) => ({ rep, index }));
+  const measured = entries.filter((e) => e.rep.points.length >= 2);
+  const a = selectedRep >= 0 ? selectedRep : (measured.length ? measured[measured.length - 1].index : -1);
+  let b = bestReportRep(entries);
+  if (b === a || b < 0) b = a > 0 ? a - 1 : Math.min(1, trails.length - 1);
+  refreshCompareOptions(true);
+  compareSelects.a.selected(`t:${a}`);
+  compareSelects.b.selected(`t:${b}`);
+  renderCompareDiff();
+}
+
+/** A pick → { rep, track, origin, label } (origin = set contact in its own net plane), or null. */
+function compareRep(pick) {
+  const m = /^([ts]):(\d+)$/.exec(pick || '');
+  if (!m) return null;
+  const i = +m[2];
+  if (m[1] === 't') {
+    const rep = trails[i];
+    if (!rep) return null;
+    const calib = { homography };
+    return { rep, track: VVMetrics.alignedTrack(rep.points, calib), origin: rep.points.length ? toNetPlane(rep.points[0].x, rep.points[0].y) : null, label: `Rep ${i + 1}` };
+  }
+  const rep = compareSession && compareSession.reps[i];
+  if (!rep) return null;
+  const c = compareSession.calib;
+  return {
+    rep,
+    track: VVMetrics.alignedTrack(rep.points, c),
+    origin: rep.points.length ? VVMetrics.toNetPlane(c, rep.points[0].x, rep.points[0].y) : null,
+    label: `${compareSession.name}: Rep ${i + 1}`,
+  };
+}
+
+/**
+ * Both picks, what drawing them needs, and the ghost clock: { a, b, items,
+ * mirrorB, tNow, tEnd }, or null when there is nothing to draw.
+ */
+function comparisonState() {
+  if (!homography) return null;
+  const a = compareRep(compareSelects.a.value()), b = compareRep(compareSelects.b.value());
+  const items = [[a, COMPARE_COLORS.a, 'A'], [b, COMPARE_COLORS.b, 'B']].filter(([it]) => it && it.track);
+  if (!items.length || !a || !a.origin) return null;
+  const lastDx = (track) => track[track.length - 1].dx;
+  const mirrorB = !!(b && b.track && a.track && Math.sign(lastDx(b.track)) * Math.sign(lastDx(a.track)) < 0);
+  const speed = speedSelect ? Number(speedSelect.value()) || 1 : 1;
+  let tNow = Infinity;
+  if (ghost) tNow = ghost.t0 != null ? vid.time() - ghost.t0 : ((millis() - ghost.start) / 1000) * speed;
+  const tEnd = Math.max(...items.map(([it]) => it.track[it.track.length - 1].t));
+  return { a, b, items, mirrorB, tNow, tEnd };
+}
+
+/** Both picks drawn from A’s set contact (frame coordinates), whole or (ghost) up to the playback time. */
+function drawComparison() {
+  const st = comparisonState();
+  if (!st) return;
+  const { a, items, mirrorB, tNow, tEnd } = st;
+  if (ghost && (tNow > tEnd + 1 || (ghost.t0 != null && vid.elt.ended))) stopGhost(); // Hold the end a second, then show both whole
+
+  push();
+  for (const [it, clr, tag] of items) {
+    const sx = tag === 'B' && mirrorB ? -1 : 1;
+    const shown = ghost ? VVMetrics.trackUntil(it.track, tNow) : it.track;
+    const pts = shown.map((p) => fromNetPlane(a.origin.x + sx * p.dx, a.origin.y + p.dy)).filter(Boolean);
+    noFill();
+    stroke(clr[0], clr[1], clr[2]);
+    strokeWeight(5);
+    drawSmoothPath(pts);
+    const head = pts[pts.length - 1];
+    if (head) {                                             // Ball (ghost) or end label
+      noStroke();
+      fill(clr[0], clr[1], clr[2]);
+      circle(head.x, head.y, ghost ? 16 : 8);
+      if (!ghost) { textSize(14); textAlign(LEFT, BOTTOM); text(tag, head.x + 6, head.y - 4); }
+    }
+  }
+  const o = fromNetPlane(a.origin.x, a.origin.y);
+  if (o) { stroke(255); strokeWeight(2); noFill(); circle(o.x, o.y, 14); } // Shared set contact
+  pop();
+}
+
+/** Which rep is which (screen coordinates, drawn over the pinch zoom). */
+function drawCompareLegend() {
+  const st = comparisonState();
+  if (!st) { centerMsg(homography ? 'Pick two reps with at least two clicks each' : 'Comparison needs a valid calibration'); return; }
+  const { a, b, mirrorB, tNow, tEnd } = st;
+  push();
+  noStroke();
+  fill(0, 160);
+  rect(8, 8, 330, 50, 8);
+  textSize(14);
+  textAlign(LEFT, TOP);
+  fill(...COMPARE_COLORS.a);
+  text(`A  ${a.label}`, 16, 14);
+  if (b) { fill(...COMPARE_COLORS.b); text(`B  ${b.label}${mirrorB ? ' (mirrored)' : ''}`, 16, 34); }
+  if (ghost) { fill(255); textAlign(RIGHT, TOP); text(`${Math.min(tNow, tEnd).toFixed(2)} s after the set`, 330, 14); }
+  pop();
+}
+
+/** Play the clip from the set contact of the first of today’s picks (else run on a timer). */
+function startGhost() {
+  const pick = [compareSelects.a.value(), compareSelects.b.value()].find((p) => /^t:/.test(p || ''));
+  const rep = pick ? trails[+pick.slice(2)] : null;
+  if (!rep || !rep.points.length || rep.points[0].t == null) { ghost = { start: millis() }; return; }
+  const g = ghost = { t0: rep.points[0].t };
+  vid.pause();
+  seekVideo(g.t0).then(() => {
+    if (ghost !== g) return;             // Stopped meanwhile
+    const p = vid.play(); if (p && p.catch) p.catch(() => {});
+  });
+}
+
+function stopGhost() {
+  if (ghost && ghost.t0 != null) vid.pause();
+  ghost = null;
+}
+
+/** B − A table under the pick lists. */
+function renderCompareDiff() {
+  const a = compareRep(compareSelects.a.value()), b = compareRep(compareSelects.b.value());
+  if (!a || !b) { compareDiff.html(''); return; }
+  const fmt = (v, d) => (v != null ? v.toFixed(d) : '—');
+  const rows = VVMetrics.compareReps(a.rep, b.rep).map((r) => {
+    const d = r.delta != null ? `${r.delta > 0 ? '+' : ''}${r.delta.toFixed(r.decimals)}` : '—';
+    return `<tr style="border-top:1px solid #2a2a2a"><td style="padding:4px 10px">${r.label} (${r.unit})</td>` +
+      `<td style="padding:4px 10px">${fmt(r.a, r.decimals)}</td><td style="padding:4px 10px">${fmt(r.b, r.decimals)}</td>` +
+      `<td style="padding:4px 10px; font-weight:600">${d}</td></tr>`;
+  }).join('');
+  const head = (clr, txt) => `<th style="text-align:left; padding:4px 10px; color:rgb(${clr.join(',')})">${escapeHTML(txt)}</th>`;
+  compareDiff.html(`
+    <table style="border-collapse:collapse; margin-top:8px">
+      <tr><th></th>${head(COMPARE_COLORS.a, `A: ${a.label}`)}${head(COMPARE_COLORS.b, `B: ${b.label}`)}<th style="text-align:left; padding:4px 10px">B − A</th></tr>
+      ${rows}
+    </table>`);
+}
+
+/** Fill both pick lists from today’s reps and the loaded session (keeps the picks when possible). */
+function refreshCompareOptions(force) {
+  const key = trails.map((r) => `${r.points.length}:${r.peakM}`).join(',') + '|' + (compareSession ? compareSession.name : '');
+  if (!force && key === compareKey) return;
+  compareKey = key;
+  const peak = (r) => (r.peakM != null ? ` · ${r.peakM.toFixed(2)} m` : '');
+  for (const sel of [compareSelects.a, compareSelects.b]) {
+    const prev = sel.value();
+    sel.html('');
+    trails.forEach((r, i) => sel.option(`Rep ${i + 1}${peak(r)}`, `t:${i}`));
+    if (compareSession) compareSession.reps.forEach((r, i) => sel.option(`${compareSession.name}: Rep ${i + 1}${peak(r)}`, `s:${i}`));
+    if (prev && compareRep(prev)) sel.selected(prev);
+  }
+  renderCompareDiff();
+}
+
+/** Read a saved session to compare against; its reps are scored with its own calibration. */
+function handleCompareFile(f) {
+  if (!f || !f.file) return;
+  f.file.text()
+    .then((txt) => {
+      const doc = migrateSession(JSON.parse(txt));
+      const sc = VVMetrics.sessionCalibration(doc);
+      if (!sc.calib || !sc.calib.homography) throw new Error('That session has no usable calibration');
+      const calib = sc.calib;
+      const reps = VVMetrics.sessionReps(doc, sc);            // Scored as the CLI and history would
+      const name = (doc.savedAt || '').slice(0, 10) || (doc.video && doc.video.name) || f.file.name;
+      compareSession = { name, calib, reps };
+      refreshCompareOptions(true);
+      const best = bestReportRep(reps.map((rep, index) => ({ rep, index })));
+      if (best >= 0) compareSelects.b.selected(`s:${best}`); // “Your best rep that day”
+      renderCompareDiff();
+    })
+    .catch((err) => {
+      console.error('COMPARE LOAD ERROR', err);
+      alert(`Could not load session: ${err.message}`);
+    });
+}
+
+function createComparePanel() {
+  comparePanel = createDiv('');
+  comparePanel.style('font-family', 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial');
+  comparePanel.style('margin', '8px 0 0 0');
+  comparePanel.style('padding', '12px');
+  comparePanel.style('border-radius', '10px');
+  comparePanel.style('background', '#111');
+  comparePanel.style('color', '#fff');
+  comparePanel.style('display', 'none');
+
+  const head = createDiv('');
+  head.parent(comparePanel);
+  head.style('display', 'flex');
+  head.style('gap', '10px');
+  head.style('align-items', 'center');
+  head.style('flex-wrap', 'wrap');
+  createSpan('<b>COMPARE</b>').parent(head);
+  for (const k of ['a', 'b']) {
+    createSpan(k.toUpperCase()).parent(head).style('color', `rgb(${COMPARE_COLORS[k].join(',')})`);
+    compareSelects[k] = createSelect();
+    compareSelects[k].parent(head);
+    compareSelects[k].changed(() => { stopGhost(); renderCompareDiff(); });
+  }
+  const label = createElement('label', '⬆ Compare with session ');
+  label.parent(head);
+  const input = createFileInput(handleCompareFile);
+  input.attribute('accept', 'application/json,.json');
+  input.parent(label);
+  btnGhost = createButton('👻 Ghost play');
+  const btnClose = createButton('✖ Close');
+  [btnGhost, btnClose].forEach((b) => { styleButton(b); b.style('padding', '6px 10px'); b.parent(head); });
+  btnGhost.mousePressed(() => { if (ghost) stopGhost(); else startGhost(); });
+  btnClose.mousePressed(() => setCompareMode(false));
+
+  compareDiff = createDiv('');
+  compareDiff.parent(comparePanel);
+}
+
+/** Per frame: show the panel on the end screen while comparing and keep the lists current. */
+function updateComparePanel() {
+  const show = compareOn && showAllAtEnd;
+  comparePanel.style('display', show ? 'block' : 'none');
+  if (!show) return;
+  refreshCompareOptions(false);
+  const label = ghost ? '⏹ Stop ghost' : '👻 Ghost play';
+  if (btnGhost.html() !== label) btnGhost.html(label);
+}
@@ -0,0 +1,297 @@
+/**
+ * Tests for metrics.js — run with `node --test test/` (Node 18+, no installs).
+ *
+ * session-v1.json was written by serializeSession() in the last sketch.js
+ * that still did the maths itself. The calibration, reps, summary and
+ * zoneScore in session-v1.expected.json are what that sketch’s
+ * repMetricRows(), metricsSummary() and zoneSessionScore() returned after
+ * loading it; video, net and columns are sessionReport()’s own framing.
+ * Any change to those numbers is a behaviour change and needs a new fixture.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const M = require('../metrics.js');
+
+const fixture = (name) => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+
+const BEACH = { heightM: 2.43, widthM: 8 };
+const SQUARE = {                                       // Camera square-on: 100 px per metre, floor at y = 500
+  LB: { x: 100, y: 500 }, LT: { x: 100, y: 257 },
+  RB: { x: 900, y: 500 }, RT: { x: 900, y: 257 },
+};
+const TILTED = {                                       // Camera rolled and off to one side
+  LB: { x: 182.4, y: 468.9 }, LT: { x: 176.0, y: 262.3 },
+  RB: { x: 846.7, y: 431.2 }, RT: { x: 853.5, y: 251.8 },
+};
+
+/** Throw unless a and b agree to tol (numbers) or exactly (everything else), recursively. */
+function assertClose(actual, expected, tol = 1e-9, where = 'value') {
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    assert.ok(Math.abs(actual - expected) <= tol * Math.max(1, Math.abs(expected)),
+      `${where}: ${actual} ≠ ${expected}`);
+  } else if (expected && typeof expected === 'object') {
+    assert.equal(typeof actual, 'object', `${where}: expected an object`);
+    assert.ok(actual !== null, `${where}: expected an object, got null`);
+    assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), `${where}: keys differ`);
+    for (const k of Object.keys(expected)) assertClose(actual[k], expected[k], tol, `${where}.${k}`);
+  } else {
+    assert.equal(actual, expected, where);
+  }
+}
+
+/** True if any number anywhere in v is NaN or ±Infinity. */
+function hasNonFinite(v) {
+  if (typeof v === 'number') return !isFinite(v);
+  if (v && typeof v === 'object') return Object.values(v).some(hasNonFinite);
+  return false;
+}
+
+// ------------------------------ Calibration --------------------------------
+
+test('calibrate returns null until all four clicks exist', () => {
+  assert.equal(M.calibrate({ LB: SQUARE.LB, LT: SQUARE.LT, RB: SQUARE.RB, RT: null }, BEACH), null);
+  assert.equal(M.calibrate(null, BEACH), null);
+});
+
+test('square-on net maps corners and scales to 100 px/m', () => {
+  const c = M.calibrate(SQUARE, BEACH);
+  assertClose(c.pixelsPerMeter, 100);
+  assertClose(c.topLine, { m: 0, b: 257 });
+  assertClose(M.toNetPlane(c, 100, 500), { x: 0, y: 0 }, 1e-9);
+  assertClose(M.toNetPlane(c, 900, 257), { x: 8, y: 2.43 }, 1e-9);
+  assertClose(M.fromNetPlane(c, 4, 2.43), { x: 500, y: 257 }, 1e-9);
+  assertClose(M.metersAboveNet(c, BEACH, 500, 157), 1);
+  assertClose(M.metersHorizDistance(c, { x: 200, y: 300 }, { x: 500, y: 100 }), 3);
+  assert.equal(c.error.quality, 'good');
+});
+
+test('tilted net: corners land on the net plane and the flat scale is ignored', () => {
+  const net = { heightM: 2.24, widthM: 9 };
+  const c = M.calibrate(TILTED, net);
+  for (const [k, P] of Object.entries({ LB: [0, 0], LT: [0, 2.24], RB: [9, 0], RT: [9, 2.24] })) {
+    assertClose(M.toNetPlane(c, TILTED[k].x, TILTED[k].y), { x: P[0], y: P[1] }, 1e-9, k);
+  }
+  // The tape’s midpoint in pixels is exactly at net height, although the
+  // legacy flat top line would put it off by the roll of the camera.
+  const mid = M.fromNetPlane(c, 4.5, 2.24);
+  assertClose(M.metersAboveNet(c, net, mid.x, mid.y), 0, 1e-9);
+  assertClose(M.metersHorizDistance(c, M.fromNetPlane(c, 1, 3), M.fromNetPlane(c, 7, 3.5)), 6, 1e-9);
+});
+
+test('vertical top line (RT.x === LT.x) has no slope instead of dividing by zero', () => {
+  const pts = { LB: { x: 300, y: 500 }, LT: { x: 300, y: 257 }, RB: { x: 300, y: 480 }, RT: { x: 300, y: 270 } };
+  const c = M.calibrate(pts, BEACH);
+  assert.equal(c.topLine, null);
+  assert.equal(c.homography, null);                      // Collinear clicks: no plane either
+  assert.ok(!hasNonFinite({ ppm: c.pixelsPerMeter }));
+  assert.equal(M.metersAboveNet(c, BEACH, 300, 200), null);
+  const rep = M.repMetrics([{ x: 300, y: 200, t: 0 }, { x: 300, y: 150, t: 0.5 }], c, BEACH);
+  assert.equal(rep.peakM, null);
+  assert.ok(!hasNonFinite(rep));
+});
+
+test('legacy flat fallback is used when only the scale and top line exist', () => {
+  const c = { pixelsPerMeter: 100, topLine: { m: 0.1, b: 200 }, homography: null, homographyInv: null };
+  assertClose(M.metersAboveNet(c, BEACH, 100, 10), 2);   // Tape at y = 210 there
+  assertClose(M.metersHorizDistance(c, { x: 100, y: 0 }, { x: 350, y: 0 }), 2.5);
+});
+
+test('a steep net gives a worse error estimate than a square-on one', () => {
+  const steep = { LB: { x: 400, y: 500 }, LT: { x: 400, y: 470 }, RB: { x: 430, y: 500 }, RT: { x: 430, y: 470 } };
+  const good = M.calibrate(SQUARE, BEACH).error;
+  const bad = M.calibrate(steep, BEACH).error;
+  assert.ok(bad.cm > good.cm);
+  assert.equal(bad.quality, 'poor');
+});
+
+test('validateCalibration accepts a sane net and flags impossible geometry', () => {
+  const codes = (pts) => M.validateCalibration(pts).map((w) => w.code);
+  assert.deepEqual(codes(SQUARE), []);
+  assert.deepEqual(codes(TILTED), []);
+  assert.deepEqual(codes({ LB: SQUARE.LB, LT: { x: 100, y: 600 } }), ['left-inverted']); // Partial clicks too
+  assert.deepEqual(codes({ ...SQUARE, RB: SQUARE.RT, RT: SQUARE.RB }), ['right-inverted']);
+  assert.deepEqual(codes({ ...SQUARE, RB: { x: 103, y: 480 }, RT: { x: 103, y: 270 } }), ['same-x']);
+  assert.deepEqual(codes({ ...SQUARE, LB: SQUARE.RB, LT: SQUARE.RT, RB: SQUARE.LB, RT: SQUARE.LT }), ['swapped']);
+  assert.deepEqual(codes({ ...SQUARE, RT: { x: 900, y: 470 } }), ['height-ratio']);
+  assert.ok(codes({ ...SQUARE, LT: SQUARE.RT, RT: SQUARE.LT }).includes('twisted'));
+  assert.deepEqual(codes({ ...SQUARE, RT: { x: 500, y: 257 } }), ['right-lean']);
+});
+
+// ------------------------------ Per-rep metrics ----------------------------
+
+test('reps with fewer than two points are all-null and never throw', () => {
+  const c = M.calibrate(SQUARE, BEACH);
+  for (const points of [[], [{ x: 500, y: 100, t: 1 }], null]) {
+    const r = M.analyseRep(points, null, c, BEACH, []);
+    assert.deepEqual(r, { peakM: null, aboveNetCM: null, peakT: null, widthM: null, direction: null, fit: null, zone: null });
+  }
+});
+
+test('repMetrics reports the highest click, width and direction', () => {
+  const c = M.calibrate(SQUARE, BEACH);
+  const r = M.repMetrics([{ x: 700, y: 200, t: 0 }, { x: 500, y: 107, t: 0.4 }, { x: 300, y: 180, t: 0.8 }], c, BEACH);
+  assertClose(r.peakM, 3.93);
+  assert.equal(r.aboveNetCM, 150);
+  assert.equal(r.peakT, 0.4);
+  assertClose(r.widthM, 4);
+  assert.equal(r.direction, '←');
+});
+
+test('fitTrajectory recovers a clean projectile and flags an outlier click', () => {
+  const c = M.calibrate(SQUARE, BEACH);
+  const shot = (t) => M.fromNetPlane(c, 1 + 4 * t, 2 + 5 * t - M.GRAVITY / 2 * t * t);
+  const clean = [0, 0.2, 0.4, 0.6, 0.8].map((t) => Object.assign(shot(t), { t }));
+  const fit = M.fitTrajectory(clean, c);
+  assert.equal(fit.quality, 'good');
+  assertClose(fit.apexT, 5 / M.GRAVITY, 1e-6);
+  assertClose(fit.apexM, 2 + 25 / (2 * M.GRAVITY), 1e-6);
+
+  const noisy = clean.map((p, i) => (i === 2 ? { x: p.x, y: p.y - 60, t: p.t } : p));
+  assert.equal(M.fitTrajectory(noisy, c).quality, 'check');
+  assert.equal(M.fitTrajectory(clean.slice(0, 2), c), null);
+});
+
+test('summaryStats ignores nulls and non-finite values', () => {
+  assert.deepEqual(M.summaryStats([null, Infinity]), { n: 0, best: null, average: null, min: null, max: null, sd: null });
+  assertClose(M.summaryStats([1, null, 3]), { n: 2, best: 3, average: 2, min: 1, max: 3, sd: 1 });
+});
+
+// ------------------------------ Rep comparison -----------------------------
+
+test('compareReps lines up timings from the set contact and reports b − a', () => {
+  const c = M.calibrate(SQUARE, BEACH);
+  const rep = (pts) => Object.assign({ points: pts }, M.analyseRep(pts, null, c, BEACH, []));
+  const a = rep([{ x: 700, y: 200, t: 10 }, { x: 500, y: 107, t: 10.4 }, { x: 300, y: 180, t: 10.8 }]);
+  const b = rep([{ x: 300, y: 200, t: 2 }, { x: 500, y: 157, t: 2.5 }, { x: 800, y: 180, t: 3 }]);
+  const rows = Object.fromEntries(M.compareReps(a, b).map((r) => [r.key, r]));
+  assertClose(rows.peakM.delta, -0.5);
+  assertClose(rows.widthM.delta, 1);
+  assertClose(rows.peakAfterS.a, 0.4);
+  assertClose(rows.durationS.delta, 0.2);
+  assert.deepEqual(Object.keys(rows), M.COMPARE_METRICS.map(([key]) => key));
+
+  const noTimes = rep([{ x: 300, y: 200 }, { x: 500, y: 157 }]);
+  assert.equal(M.compareReps(a, noTimes).find((r) => r.key === 'durationS').delta, null);
+});
+
+test('alignedTrack starts at the set contact and trackUntil interpolates the ball', () => {
+  const c = M.calibrate(SQUARE, BEACH);
+  const track = M.alignedTrack([{ x: 300, y: 300, t: 5 }, { x: 400, y: 200, t: 5.5 }, { x: 500, y: 300, t: 6 }], c);
+  assertClose(track, [{ t: 0, dx: 0, dy: 0 }, { t: 0.5, dx: 1, dy: 1 }, { t: 1, dx: 2, dy: 0 }]);
+  assertClose(M.trackUntil(track, 0.25), [{ t: 0, dx: 0, dy: 0 }, { t: 0.25, dx: 0.5, dy: 0.5 }]);
+  assert.equal(M.trackUntil(track, 2).length, 3);
+  assert.equal(M.alignedTrack([{ x: 300, y: 300, t: 0 }], c), null);
+  assert.equal(M.alignedTrack([{ x: 0, y: 0 }, { x: 1, y: 1 }], null), null);
+});
+
+// ------------------------------ Motion pre-pass ----------------------------
+
+/** 10 Hz motion series with a little deterministic noise and a burst at each touch time. */
+function motionSeries(durationS, touchTimes) {
+  const samples = [];
+  for (let i = 1; i <= durationS * 10; i++) {
+    const t = i / 10;
+    const burst = touchTimes.some((tt) => Math.abs(tt - t) < 0.05) ? 0.3 : 0;
+    samples.push({ t, energy: 0.02 + 0.005 * Math.sin(i * 1.7) + burst });
+  }
+  return samples;
+}
+
+test('motionEnergy counts pixels whose luma changed by more than the threshold', () => {
+  const a = M.lumaFrame(new Uint8ClampedArray([0, 0, 0, 255, 255, 255, 255, 255, 100, 100, 100, 255]));
+  assert.deepEqual([...a], [0, 255, 100]);
+  const b = Uint8Array.from([40, 200, 100]);
+  assertClose(M.motionEnergy(a, b), 2 / 3);
+  assert.equal(M.motionEnergy(a, a), 0);
+});
+
+test('findMotionCandidates groups touches into reps with the set as second contact', () => {
+  const found = M.findMotionCandidates(motionSeries(25, [2.0, 3.2, 4.4, 10.0, 11.5, 20.0]));
+  assert.deepEqual(found.touches.map((x) => x.t), [2.0, 3.2, 4.4, 10.0, 11.5, 20.0]);
+  assert.deepEqual(found.reps, [
+    { t0: 2.0, t1: 4.4, setT: 3.2 },                     // Pass, set, hit
+    { t0: 10.0, t1: 11.5, setT: 10.0 },                  // Pass missed: the first touch is the set
+    { t0: 20.0, t1: 20.0, setT: 20.0 },
+  ]);
+  assert.deepEqual(found.flights, [{ t0: 2.0, t1: 3.2 }, { t0: 3.2, t1: 4.4 }, { t0: 10.0, t1: 11.5 }]);
+});
+
+test('findMotionCandidates finds nothing in a still or very short clip', () => {
+  assert.deepEqual(M.findMotionCandidates(motionSeries(10, [])).touches, []);
+  assert.deepEqual(M.findMotionCandidates([{ t: 0, energy: 1 }]), { touches: [], flights: [], reps: [] });
+});
+
+// ------------------------------ Session files ------------------------------
+
+test('regression: session-v1 reproduces the numbers the app saved with it', () => {
+  const doc = fixture('session-v1.json');
+  const c = M.calibrate(doc.calibration.points, { heightM: doc.calibration.netHeightM, widthM: doc.calibration.netWidthM });
+  assertClose(c.pixelsPerMeter, doc.calibration.pixelsPerMeter);
+  assertClose(c.topLine, doc.calibration.topLine);
+  assertClose(c.homography, doc.calibration.homography);
+  assertClose(c.error.cm, doc.calibration.errorCM);
+});
+
+test('regression: session-v1 report matches the recorded report', () => {
+  const report = JSON.parse(JSON.stringify(M.sessionReport(fixture('session-v1.json'))));
+  assertClose(report, fixture('session-v1.expected.json'), 1e-9, 'report');
+});
+
+test('two-camera sessions take each axis from the better view, like the app', () => {
+  const calibA = M.calibrate(TILTED, BEACH), calibB = M.calibrate(SQUARE, BEACH);
+  const offsetS = 1.5;                                 // Camera B time = camera A time + offset
+  const ball = (t) => ({ x: 2 + 3 * t, y: 2.5 + 4 * t - M.GRAVITY / 2 * t * t });
+  const times = [10, 10.2, 10.4, 10.6, 10.8];
+  const at = (calib, t, tOut) => Object.assign(M.fromNetPlane(calib, ball(t - 10).x, ball(t - 10).y), { t: tOut });
+  const doc = {
+    schemaVersion: M.SESSION_SCHEMA_VERSION,
+    calibration: { points: TILTED, netHeightM: 2.43, netWidthM: 8 },
+    secondCamera: { role: 'side', roleA: 'behind', offsetS, calibration: { points: SQUARE } },
+    reps: [{ points: times.map((t) => at(calibA, t, t)), pointsB: times.map((t) => at(calibB, t, t + offsetS)) }],
+  };
+  const onlyB = M.analyseRep(doc.reps[0].pointsB, null, calibB, BEACH, []);
+  const [row] = M.sessionReport(doc).reps;
+  assert.ok(calibB.error.cm < calibA.error.cm);
+  assert.equal(row.heightCamera, 'B');
+  assert.equal(row.widthCamera, 'B');
+  assertClose(row.peakM, onlyB.peakM);
+  assertClose(row.widthM, onlyB.widthM);
+  assertClose(row.peakT, onlyB.peakT - offsetS);
+
+  delete doc.secondCamera;
+  assert.equal(M.sessionReport(doc).reps[0].heightCamera, null);
+});
+
+test('sessionCalibration defaults the net and waits for all four clicks', () => {
+  const { net, calib } = M.sessionCalibration({ calibration: { points: SQUARE } });
+  assert.deepEqual(net, { presetId: null, heightM: 2.43, widthM: 8 });
+  assertClose(calib.pixelsPerMeter, 100);
+  assert.equal(M.sessionCalibration({}).calib, null);
+});
+
+test('unversioned (v0) sessions are migrated before reporting', () => {
+  const v1 = fixture('session-v1.json');
+  const v0 = { videoName: 'old.mp4', calibPts: v1.calibration.points, trails: v1.reps };
+  const report = M.sessionReport(v0);
+  assert.equal(report.video, 'old.mp4');
+  assert.deepEqual(report.net, { presetId: null, heightM: 2.43, widthM: 8 });
+  assert.equal(report.reps.length, v1.reps.length);
+  assert.ok(report.reps[0].peakM > 2.43);
+});
+
+test('sessions from a newer app are rejected', () => {
+  assert.throws(() => M.migrateSession({ schemaVersion: M.SESSION_SCHEMA_VERSION + 1 }), /version/);
+  assert.throws(() => M.migrateSession('nope'), /not a JSON object/);
+});
+
+test('metricsCSV quotes text and appends the summary block', () => {
+  const rows = [{ rep: 1, peakM: 3.14159, direction: 'left', note: 'a, "b"' }];
+  const lines = M.metricsCSV(rows, ['rep', 'peakM', 'direction', 'note']);
+  assert.equal(lines[0], 'rep,peakM,direction,note');
+  assert.equal(lines[1], '1,3.142,left,"a, ""b"""');
+  assert.equal(lines[2], '');
+  assert.equal(lines[3], 'metric,n,best,average,min,max,sd');
+  assert.equal(lines[4], 'peakM,1,3.142,3.142,3.142,3.142,0');
+});